@@ -0,0 +1,79 @@
+/* analysis.js
+    This module runs the APT image decoder (apt.js) and the quality analysis (quality.js) in a worker thread.
+    Both work on the whole recording at once and take seconds on a Raspberry Pi; on the main thread that would
+    hold up the status API, the LCD and the rotator, and the timers of the next pass.
+    The same file is the worker: started as one, it runs the task it is given and posts back the result.
+*/
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+// the tasks a worker can run, by name
+const TASKS = {
+    decodeAPT: (wavFile) => require('./apt').decodeAPT(wavFile),
+    analyseRecording: (wavFile, options) => require('./quality').analyseRecording(wavFile, options)
+};
+
+if (!isMainThread && workerData && TASKS[workerData.task]) {
+    try {
+        parentPort.postMessage({ result: TASKS[workerData.task](...workerData.args) });
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+}
+
+// Function to run a task in a worker thread, resolves with its result
+// aborting the signal stops the worker
+function runTask(task, args, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new Error(`${task} was aborted`));
+            return;
+        }
+        const worker = new Worker(__filename, { workerData: { task, args } });
+        let settled = false;
+        const settle = (callback, value) => {
+            if (settled) return;
+            settled = true;
+            if (signal) signal.removeEventListener('abort', abort);
+            callback(value);
+        };
+        const abort = () => {
+            worker.terminate();
+            settle(reject, new Error(`${task} was aborted`));
+        };
+
+        if (signal) signal.addEventListener('abort', abort);
+        worker.on('message', (message) => {
+            if (message.error) {
+                settle(reject, new Error(message.error));
+            } else {
+                settle(resolve, message.result);
+            }
+        });
+        worker.on('error', (error) => settle(reject, error));
+        worker.on('exit', (code) => settle(reject, new Error(`${task} worker exited with code ${code}`)));
+    });
+}
+
+/**
+ * Decodes an APT image in a worker thread, see decodeAPT() in apt.js.
+ * @param {string} wavFile - Path to the WAV file produced by SoX
+ * @param {AbortSignal} [signal] - Stops the decoder when aborted
+ * @returns {Promise<object>} - As returned by decodeAPT()
+ */
+function decodeAPTInWorker(wavFile, signal) {
+    return runTask('decodeAPT', [wavFile], signal);
+}
+
+/**
+ * Analyses the quality of an APT recording in a worker thread, see analyseRecording() in quality.js.
+ * @param {string} wavFile - Path to the 11025 Hz WAV file produced by SoX
+ * @param {object} [options] - { syncRatio } to reuse the result of the APT decoder
+ * @param {AbortSignal} [signal] - Stops the analysis when aborted
+ * @returns {Promise<object>} - As returned by analyseRecording()
+ */
+function analyseRecordingInWorker(wavFile, options = {}, signal) {
+    return runTask('analyseRecording', [wavFile, options], signal);
+}
+
+module.exports = { decodeAPTInWorker, analyseRecordingInWorker };
@@ -0,0 +1,396 @@
+// api.js
+// This module runs a small HTTP server inside the scheduler process
+// GET endpoints report the station's state as JSON, authenticated POST endpoints control it
+// It also serves the browser dashboard (public/index.html) and the files in the recordings directory
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const packageJson = require('./package.json');
+const { getState, getRecentRecordings } = require('./recorder');
+const { listOutbox, requeueUploads, isUploading, enqueueRecording } = require('./outbox');
+const { getDiskUsage } = require('./disk');
+const { redactConfig } = require('./config');
+const { readPassesFile, passKey, passStartTime, passEndTime } = require('./passes');
+const { LEVELS, readLogEntries } = require('./logger');
+const { readSidecar } = require('./metadata');
+const { renderPassSkyPlot } = require('./skyplot');
+const { toSkyPlot } = require('./export');
+const clock = require('./clock');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const DASHBOARD_FILE = path.join(__dirname, 'public', 'index.html');
+
+// content types for the files served from the recordings directory
+const CONTENT_TYPES = {
+    '.wav': 'audio/wav',
+    '.flac': 'audio/flac',
+    '.tar': 'application/x-tar',
+    '.png': 'image/png',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.html': 'text/html; charset=utf-8'
+};
+
+// send a JSON response
+function sendJSON(res, status, body) {
+    const data = JSON.stringify(body, null, 2);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(data)
+    });
+    res.end(data);
+}
+
+// read and parse a JSON request body (an empty body is treated as {})
+function readJSONBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8').trim();
+            if (text === '') {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+// serve a file, honouring a single byte range so audio can be seeked on phones
+function sendFile(req, res, filePath) {
+    const stats = fs.statSync(filePath);
+    const headers = {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Accept-Ranges': 'bytes'
+    };
+    const range = (req.headers.range || '').match(/^bytes=(\d*)-(\d*)$/);
+
+    if (range && (range[1] || range[2])) {
+        const start = range[1] ? parseInt(range[1], 10) : Math.max(0, stats.size - parseInt(range[2], 10));
+        const end = range[1] && range[2] ? Math.min(parseInt(range[2], 10), stats.size - 1) : stats.size - 1;
+
+        if (start > end || start >= stats.size) {
+            res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+            res.end();
+            return;
+        }
+
+        res.writeHead(206, {
+            ...headers,
+            'Content-Range': `bytes ${start}-${end}/${stats.size}`,
+            'Content-Length': end - start + 1
+        });
+        fs.createReadStream(filePath, { start, end }).pipe(res);
+        return;
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': stats.size });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+// upcoming predicted passes from passes.json, flagged when they are in the current plan
+function readUpcomingPasses(config, plan) {
+    const passesFilePath = path.resolve(config.saveDir, config.passesFile);
+    const planKeys = new Set(plan.map(pass => pass.key));
+    const now = clock.now();
+
+    return readPassesFile(passesFilePath, { error: () => {} })
+        .filter(pass => passEndTime(pass) > now)
+        .sort((a, b) => passStartTime(a) - passStartTime(b))
+        .map(({ track, ...pass }) => ({
+            key: passKey(pass),
+            ...pass,
+            start: passStartTime(pass).toISOString(),
+            end: passEndTime(pass).toISOString(),
+            selected: planKeys.has(passKey(pass)),
+            // the track is left out to keep the dashboard's polling light, the plot is drawn from it
+            skyPlot: track ? `/api/skyplot.svg?key=${encodeURIComponent(passKey(pass))}` : null
+        }));
+}
+
+// the sky plot of a pass by its key, or of the planning horizon without a key; null if there is no such pass or it has no track
+function renderSkyPlot(config, plan, key) {
+    const passes = readPassesFile(path.resolve(config.saveDir, config.passesFile), { error: () => {} });
+    const planKeys = new Set(plan.map(pass => pass.key));
+    if (!key) {
+        return toSkyPlot(passes, config, planKeys);
+    }
+
+    const pass = passes.find(p => passKey(p) === key);
+    if (!pass) {
+        return null;
+    }
+    // the recording window of a planned or recorded pass
+    const window = { start: passStartTime(pass), end: passEndTime(pass) };
+    return renderPassSkyPlot(pass, {
+        recorded: pass.recorded ? window : undefined,
+        planned: planKeys.has(key) ? window : undefined,
+        horizon: config.horizon
+    });
+}
+
+// the parts of an outbox item worth showing next to a recording
+function uploadSummary(item) {
+    return {
+        id: item.id,
+        state: item.state,
+        attempts: item.attempts,
+        lastError: item.lastError,
+        destinations: item.destinations,
+        updatedAt: item.updatedAt
+    };
+}
+
+// recent recordings with the state of their upload from the outbox
+function listRecentRecordings(config) {
+    const outbox = new Map(listOutbox(config).map(item => [item.id, item]));
+    return getRecentRecordings().map(rec => ({
+        ...rec,
+        upload: outbox.has(rec.uploadId) ? uploadSummary(outbox.get(rec.uploadId)) : null
+    }));
+}
+
+// recordings on disk grouped by base name (WAV or LRPT IQ, decoded image, ...), newest first
+function listGallery(config) {
+    const dir = path.join(config.saveDir, 'recordings');
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const uploads = new Map(listOutbox(config).map(item => [path.basename(item.file), uploadSummary(item)]));
+    const entries = new Map();
+
+    for (const file of fs.readdirSync(dir)) {
+        const ext = path.extname(file).toLowerCase();
+        if (ext === '.raw' || file.toLowerCase().endsWith('.raw.flac')) continue;
+
+        const base = path.basename(file, path.extname(file));
+        if (!entries.has(base)) {
+            entries.set(base, { name: base, files: {} });
+        }
+        const entry = entries.get(base);
+        entry.files[ext.slice(1)] = `/recordings/${encodeURIComponent(file)}`;
+
+        if (ext === '.json') {
+            const metadata = readSidecar(path.join(dir, file));
+            entry.quality = metadata ? metadata.quality : null;
+        }
+        // the recording itself, or its FLAC once the WAV has been deleted (config.compressDeleteOriginals)
+        if (ext === '.wav' || ext === '.cu8' || (ext === '.flac' && !fs.existsSync(path.join(dir, `${base}.wav`)))) {
+            const stats = fs.statSync(path.join(dir, file));
+            entry.size = stats.size;
+            entry.modified = stats.mtime.toISOString();
+            entry.upload = uploads.get(file) || uploads.get(`${base}.wav`) || null;
+        }
+    }
+
+    return [...entries.values()]
+        .filter(entry => entry.files.wav || entry.files.flac || entry.files.png)
+        .sort((a, b) => (b.modified || '').localeCompare(a.modified || ''));
+}
+
+// path of a file in the recordings directory, or null if the name tries to escape it
+function resolveRecordingPath(config, name) {
+    const dir = path.resolve(config.saveDir, 'recordings');
+    const filePath = path.resolve(dir, name);
+    return path.dirname(filePath) === dir ? filePath : null;
+}
+
+// check the bearer token of a control request against config.apiToken
+function isAuthorized(req, apiToken) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!apiToken || !match) {
+        return false;
+    }
+
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(String(apiToken));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Starts the status and control API.
+ * @param {function} getConfig - Returns the current configuration
+ * @param {object} logger - Your logger instance
+ * @param {object} handlers - Scheduler callbacks: getPlan(), refreshPasses(), skipPass(key), recordNow({ satellite, frequency, minutes })
+ * @returns {http.Server|null} - The server, or null if the API is disabled (apiPort set to false or 0)
+ */
+function startApiServer(getConfig, logger, handlers) {
+    const config = getConfig();
+    const port = config.apiPort ?? 8080;
+    const host = config.apiHost ?? '0.0.0.0';
+
+    if (!port) {
+        logger.info('Status API disabled (apiPort is not set)');
+        return null;
+    }
+
+    // routes are "METHOD path" -> async function returning [status, body]
+    const routes = {
+        'GET /api/status': async () => {
+            const plan = handlers.getPlan();
+            const recorderState = getState();
+            return [200, {
+                ...recorderState,
+                state: recorderState.state === 'idle' && isUploading() ? 'uploading' : recorderState.state,
+                version: packageJson.version,
+                uptimeSeconds: Math.round(process.uptime()),
+                nextPass: plan[0] || null
+            }];
+        },
+        'GET /api/passes': async () => [200, handlers.getPlan()],
+        'GET /api/recordings': async () => [200, listRecentRecordings(getConfig())],
+        'GET /api/outbox': async () => [200, listOutbox(getConfig())],
+        'GET /api/disk': async () => [200, await getDiskUsage(getConfig().saveDir)],
+        'GET /api/config': async () => [200, redactConfig(getConfig())],
+        'GET /api/upcoming': async () => [200, readUpcomingPasses(getConfig(), handlers.getPlan())],
+        'GET /api/gallery': async () => [200, listGallery(getConfig())],
+        'GET /api/log': async (body, query) => {
+            const count = Math.min(parseInt(query.get('lines'), 10) || 100, 1000);
+            const level = query.get('level');
+            if (level && !LEVELS.includes(level)) {
+                return [400, { success: false, message: `level must be one of ${LEVELS.join(', ')}` }];
+            }
+            return [200, readLogEntries(getConfig(), count, level)];
+        },
+
+        'POST /api/tle/refresh': async () => {
+            await handlers.refreshPasses();
+            return [200, { success: true, plan: handlers.getPlan() }];
+        },
+        'POST /api/passes/skip': async (body) => {
+            if (!body.key) {
+                return [400, { success: false, message: 'Missing pass key' }];
+            }
+            const skipped = handlers.skipPass(body.key);
+            return skipped
+                ? [200, { success: true }]
+                : [404, { success: false, message: `No scheduled pass with key ${body.key}` }];
+        },
+        'POST /api/outbox/requeue': async (body) => {
+            // requeue one item by id, or every failed item when no id is given
+            const count = requeueUploads(getConfig(), body.id);
+            return [200, { success: true, requeued: count }];
+        },
+        'POST /api/upload': async (body) => {
+            // upload a recording again, by its file name in the recordings directory
+            const filePath = body.file ? resolveRecordingPath(getConfig(), body.file) : null;
+            if (!filePath || !fs.existsSync(filePath)) {
+                return [404, { success: false, message: `No recording ${body.file ?? ''} in the recordings directory` }];
+            }
+            const item = enqueueRecording(getConfig(), filePath, logger);
+            return [200, { success: true, id: item.id }];
+        },
+        'POST /api/record': async (body) => {
+            const minutes = Number(body.minutes);
+            if (!(minutes > 0) || (!body.satellite && !body.frequency)) {
+                return [400, { success: false, message: 'Expected { satellite or frequency, minutes }' }];
+            }
+            const started = handlers.recordNow({ satellite: body.satellite, frequency: body.frequency, minutes });
+            return started
+                ? [200, { success: true }]
+                : [409, { success: false, message: 'Could not start recording (unknown satellite or recorder busy)' }];
+        }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+        // the dashboard and the recordings it links to
+        if (req.method === 'GET' && (pathname === '/' || pathname.startsWith('/recordings/'))) {
+            try {
+                const filePath = pathname === '/'
+                    ? DASHBOARD_FILE
+                    : resolveRecordingPath(getConfig(), decodeURIComponent(pathname.slice('/recordings/'.length)));
+                if (!filePath || !fs.existsSync(filePath)) {
+                    sendJSON(res, 404, { success: false, message: 'Not found' });
+                    return;
+                }
+                sendFile(req, res, filePath);
+            } catch (error) {
+                logger.error(`API error on ${req.method} ${pathname}: ${error.message}`);
+                sendJSON(res, 500, { success: false, message: error.message });
+            }
+            return;
+        }
+
+        // sky plots are SVG rather than JSON
+        if (req.method === 'GET' && pathname === '/api/skyplot.svg') {
+            try {
+                const svg = renderSkyPlot(getConfig(), handlers.getPlan(), searchParams.get('key'));
+                if (!svg) {
+                    sendJSON(res, 404, { success: false, message: 'No such pass, or it was predicted without a track' });
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.svg'], 'Content-Length': Buffer.byteLength(svg), 'Cache-Control': 'no-cache' });
+                res.end(svg);
+            } catch (error) {
+                logger.error(`API error on ${req.method} ${pathname}: ${error.message}`);
+                sendJSON(res, 500, { success: false, message: error.message });
+            }
+            return;
+        }
+
+        const route = routes[`${req.method} ${pathname}`];
+
+        if (!route) {
+            sendJSON(res, 404, { success: false, message: 'Not found' });
+            return;
+        }
+
+        try {
+            let body = {};
+            if (req.method === 'POST') {
+                if (!getConfig().apiToken) {
+                    sendJSON(res, 403, { success: false, message: 'Control API disabled, set apiToken in the config' });
+                    return;
+                }
+                if (!isAuthorized(req, getConfig().apiToken)) {
+                    sendJSON(res, 401, { success: false, message: 'Unauthorized' });
+                    return;
+                }
+                body = await readJSONBody(req);
+                logger.info(`API request: ${req.method} ${pathname}`);
+            }
+
+            const [status, responseBody] = await route(body, searchParams);
+            sendJSON(res, status, responseBody);
+        } catch (error) {
+            logger.error(`API error on ${req.method} ${pathname}: ${error.message}`);
+            sendJSON(res, error.status || 500, { success: false, message: error.message });
+        }
+    });
+
+    server.on('error', (error) => {
+        logger.error(`Status API server error: ${error.message}`);
+    });
+
+    server.listen(port, host, () => {
+        logger.info(`Status API listening on http://${host}:${port}`);
+    });
+
+    return server;
+}
+
+module.exports = { startApiServer };
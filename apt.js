@@ -0,0 +1,254 @@
+/* apt.js
+    This module decodes NOAA APT images from the 11025 Hz WAV files produced by recorder.js.
+    It demodulates the 2400 Hz AM subcarrier, lines the frames up on sync A / sync B
+    and writes a grayscale PNG containing both channels and their telemetry wedges.
+*/
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { readWav } = require('./wav');
+
+const CARRIER_HZ = 2400;
+const WORD_RATE = 4160;         // APT words per second (2 lines of 2080 words)
+const LINE_WORDS = 2080;        // sync A, space A, image A, telemetry A, then the same for channel B
+const CHANNEL_B_OFFSET = 1040;  // sync B starts halfway through the line
+const SYNC_SEARCH = 8;          // how far (in words) a line may drift from the previous one
+const SYNC_THRESHOLD = 0.5;     // normalized correlation above which a sync pulse counts as found
+
+// sync A: seven cycles of a 1040 Hz square wave, sync B: seven pulses at 832 Hz
+const SYNC_A = zeroMean([
+    -1, -1, -1, -1,
+    1, 1, -1, -1, 1, 1, -1, -1, 1, 1, -1, -1, 1, 1, -1, -1,
+    1, 1, -1, -1, 1, 1, -1, -1, 1, 1, -1, -1,
+    -1, -1, -1, -1, -1, -1, -1
+]);
+const SYNC_B = zeroMean([
+    -1, -1, -1, -1,
+    1, 1, 1, -1, -1, 1, 1, 1, -1, -1, 1, 1, 1, -1, -1, 1, 1, 1, -1, -1,
+    1, 1, 1, -1, -1, 1, 1, 1, -1, -1, 1, 1, 1, -1, -1
+]);
+
+function zeroMean(pattern) {
+    const mean = pattern.reduce((sum, v) => sum + v, 0) / pattern.length;
+    return Float32Array.from(pattern, v => v - mean);
+}
+
+// AM envelope demodulation of the 2400 Hz subcarrier, resampled to the APT word rate
+function demodulate(samples, sampleRate) {
+    const phi = 2 * Math.PI * CARRIER_HZ / sampleRate;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+
+    // for a sinusoid at the carrier frequency two consecutive samples are enough to recover its amplitude
+    const envelope = new Float32Array(samples.length);
+    for (let i = 1; i < samples.length; i++) {
+        const a = samples[i];
+        const b = samples[i - 1];
+        envelope[i] = Math.sqrt(Math.max(0, a * a + b * b - 2 * a * b * cosPhi)) / sinPhi;
+    }
+
+    // box filter over one word to suppress the carrier ripple before resampling
+    const window = Math.max(1, Math.round(sampleRate / WORD_RATE));
+    const smoothed = new Float32Array(envelope.length);
+    let acc = 0;
+    for (let i = 0; i < envelope.length; i++) {
+        acc += envelope[i];
+        if (i >= window) acc -= envelope[i - window];
+        smoothed[i] = acc / Math.min(i + 1, window);
+    }
+
+    // linear interpolation to 4160 words per second
+    const ratio = sampleRate / WORD_RATE;
+    const wordCount = Math.floor((smoothed.length - 1) / ratio);
+    const words = new Float32Array(wordCount);
+    for (let i = 0; i < wordCount; i++) {
+        const pos = i * ratio;
+        const index = Math.floor(pos);
+        const frac = pos - index;
+        words[i] = smoothed[index] * (1 - frac) + smoothed[index + 1] * frac;
+    }
+
+    return words;
+}
+
+// normalized cross-correlation of a sync pattern with the words starting at `start`
+function syncCorrelation(words, start, pattern) {
+    if (start < 0 || start + pattern.length > words.length) return -1;
+
+    let mean = 0;
+    for (let k = 0; k < pattern.length; k++) mean += words[start + k];
+    mean /= pattern.length;
+
+    let dot = 0;
+    let signalEnergy = 0;
+    let patternEnergy = 0;
+    for (let k = 0; k < pattern.length; k++) {
+        const value = words[start + k] - mean;
+        dot += value * pattern[k];
+        signalEnergy += value * value;
+        patternEnergy += pattern[k] * pattern[k];
+    }
+
+    if (signalEnergy === 0) return 0;
+    return dot / Math.sqrt(signalEnergy * patternEnergy);
+}
+
+// best sync position in [from, to], returned as { position, score }
+function findSync(words, from, to, pattern) {
+    let best = { position: from, score: -1 };
+    for (let i = Math.max(0, from); i <= to; i++) {
+        const score = syncCorrelation(words, i, pattern);
+        if (score > best.score) {
+            best = { position: i, score };
+        }
+    }
+    return best;
+}
+
+// Function to find the start of every APT line, tracking sync A from line to line
+function alignLines(words) {
+    const lineStarts = [];
+    let syncA = 0;
+    let syncB = 0;
+
+    // lock on to the strongest sync A within the first line
+    let { position } = findSync(words, 0, LINE_WORDS - 1, SYNC_A);
+
+    // walk back in case the recording started mid-line
+    while (position - LINE_WORDS >= 0) position -= LINE_WORDS;
+
+    while (position + LINE_WORDS <= words.length) {
+        const match = findSync(words, position - SYNC_SEARCH, position + SYNC_SEARCH, SYNC_A);
+
+        // only follow the correlation peak when it is convincing, otherwise keep the nominal line rate
+        if (match.score >= SYNC_THRESHOLD && match.position + LINE_WORDS <= words.length) {
+            position = match.position;
+            syncA++;
+        }
+
+        const matchB = findSync(
+            words,
+            position + CHANNEL_B_OFFSET - SYNC_SEARCH,
+            position + CHANNEL_B_OFFSET + SYNC_SEARCH,
+            SYNC_B
+        );
+        if (matchB.score >= SYNC_THRESHOLD) syncB++;
+
+        lineStarts.push(position);
+        position += LINE_WORDS;
+    }
+
+    return { lineStarts, syncA, syncB };
+}
+
+// Function to map the aligned frame to 8-bit pixels using a percentile histogram stretch
+function stretch(words, lineStarts, lowPercentile = 0.01, highPercentile = 0.99) {
+    // estimate the histogram from every 7th word to keep memory use low on the Pi
+    const sample = [];
+    for (const start of lineStarts) {
+        for (let x = 0; x < LINE_WORDS; x += 7) sample.push(words[start + x]);
+    }
+    sample.sort((a, b) => a - b);
+
+    const low = sample[Math.floor(lowPercentile * (sample.length - 1))] ?? 0;
+    const high = sample[Math.floor(highPercentile * (sample.length - 1))] ?? 1;
+    const range = high - low || 1;
+
+    const pixels = Buffer.alloc(lineStarts.length * LINE_WORDS);
+    lineStarts.forEach((start, y) => {
+        for (let x = 0; x < LINE_WORDS; x++) {
+            const value = Math.round(((words[start + x] - low) / range) * 255);
+            pixels[y * LINE_WORDS + x] = Math.min(255, Math.max(0, value));
+        }
+    });
+
+    return pixels;
+}
+
+// CRC32 lookup table for PNG chunks
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Function to encode 8-bit grayscale pixels as a PNG
+function encodePNG(pixels, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;   // bit depth
+    header[9] = 0;   // color type: grayscale
+    header[10] = 0;  // compression
+    header[11] = 0;  // filter
+    header[12] = 0;  // interlace
+
+    // every scanline is prefixed with filter type 0 (none)
+    const raw = Buffer.alloc((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (width + 1) + 1, y * width, (y + 1) * width);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Decodes an APT recording and writes the image next to it.
+ * @param {string} wavFile - Path to the WAV file produced by SoX
+ * @param {string} [imageFile] - Where to write the PNG, defaults to the WAV path with a .png extension
+ * @returns {object} - The image path, line count and how many lines had sync A / sync B
+ */
+function decodeAPT(wavFile, imageFile = wavFile.replace(/\.wav$/i, '.png')) {
+    const { samples, sampleRate } = readWav(wavFile);
+    const words = demodulate(samples, sampleRate);
+    const { lineStarts, syncA, syncB } = alignLines(words);
+
+    if (lineStarts.length === 0) {
+        throw new Error(`Recording too short to contain an APT line: ${wavFile}`);
+    }
+
+    const pixels = stretch(words, lineStarts);
+    fs.writeFileSync(imageFile, encodePNG(pixels, LINE_WORDS, lineStarts.length));
+
+    return {
+        imageFile,
+        lines: lineStarts.length,
+        syncA,
+        syncB,
+        syncRatio: Number(((syncA + syncB) / (2 * lineStarts.length)).toFixed(3))
+    };
+}
+
+module.exports = {
+    decodeAPT,
+    demodulate,
+    alignLines,
+    syncCorrelation,
+    encodePNG,
+    WORD_RATE,
+    LINE_WORDS
+};
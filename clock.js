@@ -0,0 +1,121 @@
+/* clock.js
+    This module is the station's idea of the current time, with timers that follow it.
+    Normally it is just the system clock. simulate.js switches to a virtual clock that starts at
+    a chosen time and runs faster than real time, so a day or a week of passes can be planned,
+    recorded and uploaded in a few minutes.
+    The virtual clock moves in small steps; timers fire in order and see their own due time as
+    the current time. When the process is busy (e.g. predicting passes) the virtual clock slows
+    down instead of jumping ahead, so no timer fires late in virtual time.
+*/
+
+const TICK_MS = 10;        // real milliseconds between steps of the virtual clock
+const MAX_STEP_MS = 100;   // real milliseconds a single step may cover, however long the process was busy
+
+let virtual = null;        // { nowMs, speed, lastRealMs, timers, ticker } while the virtual clock runs
+let nextTimerId = 1;
+
+// Function to get the current time as a Date
+function now() {
+    return new Date(virtual ? virtual.nowMs : Date.now());
+}
+
+// advance the virtual clock by the real time since the last step and run the timers that became due
+function step() {
+    const realMs = Date.now();
+    const targetMs = virtual.nowMs + Math.min(realMs - virtual.lastRealMs, MAX_STEP_MS) * virtual.speed;
+    virtual.lastRealMs = realMs;
+
+    for (;;) {
+        const timer = virtual.timers
+            .filter(t => t.dueMs <= targetMs)
+            .sort((a, b) => a.dueMs - b.dueMs || a.id - b.id)[0];
+        if (!timer) {
+            break;
+        }
+
+        virtual.nowMs = Math.max(virtual.nowMs, timer.dueMs);
+        if (timer.repeatMs) {
+            timer.dueMs += timer.repeatMs;
+        } else {
+            virtual.timers.splice(virtual.timers.indexOf(timer), 1);
+        }
+
+        try {
+            timer.callback(...timer.args);
+        } catch (error) {
+            // same as an exception thrown in a real timer
+            process.nextTick(() => { throw error; });
+        }
+    }
+    virtual.nowMs = targetMs;
+}
+
+function addTimer(callback, ms, args, repeat) {
+    const delayMs = Math.max(repeat ? 1 : 0, Number(ms) || 0);
+    const timer = { id: nextTimerId++, dueMs: virtual.nowMs + delayMs, repeatMs: repeat ? delayMs : 0, callback, args, virtual: true };
+    virtual.timers.push(timer);
+    return timer;
+}
+
+function removeTimer(timer) {
+    if (timer && timer.virtual) {
+        if (virtual) {
+            const index = virtual.timers.indexOf(timer);
+            if (index !== -1) virtual.timers.splice(index, 1);
+        }
+        return;
+    }
+    // a real timer, e.g. one started before the virtual clock
+    global.clearTimeout(timer);
+}
+
+const clock = {
+    now,
+
+    // Function to call back after ms milliseconds of (virtual) time
+    setTimeout(callback, ms, ...args) {
+        return virtual ? addTimer(callback, ms, args, false) : global.setTimeout(callback, ms, ...args);
+    },
+
+    // Function to call back every ms milliseconds of (virtual) time
+    setInterval(callback, ms, ...args) {
+        return virtual ? addTimer(callback, ms, args, true) : global.setInterval(callback, ms, ...args);
+    },
+
+    clearTimeout: removeTimer,
+    clearInterval: removeTimer,
+
+    // Function to wait for ms milliseconds of (virtual) time
+    sleep(ms) {
+        return new Promise(resolve => clock.setTimeout(resolve, ms));
+    },
+
+    /**
+     * Switches to a virtual clock.
+     * @param {Date} start - The virtual time to start at
+     * @param {number} [speed=1] - How many virtual seconds pass per real second
+     */
+    useVirtualClock(start, speed = 1) {
+        clock.useSystemClock();
+        virtual = { nowMs: start.getTime(), speed, lastRealMs: Date.now(), timers: [], ticker: null };
+        virtual.ticker = global.setInterval(step, TICK_MS);
+    },
+
+    // Function to go back to the system clock, pending virtual timers are dropped
+    useSystemClock() {
+        if (virtual) {
+            global.clearInterval(virtual.ticker);
+            virtual = null;
+        }
+    },
+
+    isVirtual() {
+        return virtual !== null;
+    },
+
+    getSpeed() {
+        return virtual ? virtual.speed : 1;
+    }
+};
+
+module.exports = clock;
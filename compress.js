@@ -0,0 +1,238 @@
+// compress.js
+// This module shrinks finished recordings on the USB stick. SoX encodes the WAV (and with config.compressRaw the
+// raw capture, as <name>.raw.flac) to FLAC, which is lossless: the FLAC is decoded again and only kept when it gives
+// back exactly the samples of the original. With config.archiveRecordings the audio, images, sky plot and sidecar
+// of a pass are also bundled into one tar file named like the recording, to copy off the stick or upload.
+// The originals aren't deleted here: with config.compressDeleteOriginals the retention policy (disk.js) deletes
+// them once they have a FLAC and are not waiting for an upload.
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// decode to signed 16-bit PCM on stdout, to compare an original with its FLAC
+const PCM_OUTPUT = ['-t', 'raw', '-e', 'signed', '-b', '16', '-'];
+const TAR_BLOCK = 512;
+const COPY_CHUNK = 1024 * 1024;
+
+// Function to run SoX, resolves with the SHA-256 of what it writes to stdout
+// aborting the signal kills SoX
+function runSox(config, args, signal) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        let stderr = '';
+        const sox = spawn(config.sox_path, args, { signal });
+        sox.stdout.on('data', (data) => hash.update(data));
+        sox.stderr.on('data', (data) => { stderr += data; });
+        sox.on('error', reject);
+        sox.on('close', (code) => {
+            if (code === 0) {
+                resolve(hash.digest('hex'));
+            } else {
+                reject(new Error(`SoX exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+            }
+        });
+    });
+}
+
+/**
+ * Encodes a recording to FLAC and checks that the FLAC decodes to the same samples as the original.
+ * The FLAC is written to a temporary file and only renamed into place once it is verified.
+ * @param {object} config - The station configuration (sox_path)
+ * @param {string} inputFile - The WAV, or the raw capture when inputFormat describes it
+ * @param {string} flacFile - Where to write the FLAC
+ * @param {string[]} [inputFormat] - SoX options for a headerless input, e.g. ['-t', 'raw', '-r', '48k', ...]
+ * @param {AbortSignal} [signal] - Kills SoX when aborted
+ * @returns {Promise<object>} - { file, size, originalSize, sha256 } where sha256 is the hash of the decoded samples
+ */
+async function encodeFLAC(config, inputFile, flacFile, inputFormat = [], signal) {
+    const tmpFile = `${flacFile}.tmp`;
+    let decoded;
+    try {
+        await runSox(config, [...inputFormat, inputFile, '-t', 'flac', tmpFile], signal);
+        const original = await runSox(config, [...inputFormat, inputFile, ...PCM_OUTPUT], signal);
+        decoded = await runSox(config, ['-t', 'flac', tmpFile, ...PCM_OUTPUT], signal);
+        if (decoded !== original) {
+            throw new Error('the FLAC does not decode to the original samples');
+        }
+        fs.renameSync(tmpFile, flacFile);
+    } finally {
+        fs.rmSync(tmpFile, { force: true });
+    }
+    return {
+        file: path.basename(flacFile),
+        size: fs.statSync(flacFile).size,
+        originalSize: fs.statSync(inputFile).size,
+        sha256: decoded
+    };
+}
+
+/**
+ * Compresses a finished APT recording to FLAC, and its raw capture too when config.compressRaw is set.
+ * A recording that can't be compressed or verified is kept as it is.
+ * @param {string} wavFile - The resampled recording
+ * @param {object} raw - { rawFile, sampleRate } the raw capture and its sample rate
+ * @param {object} config - The station configuration
+ * @param {object} logger - Your logger instance
+ * @param {AbortSignal} [signal] - Stops the compression when aborted
+ * @returns {Promise<object|null>} - { flac, rawFlac } as returned by encodeFLAC(), null if nothing was compressed
+ */
+async function compressRecording(wavFile, { rawFile, sampleRate }, config, logger, signal) {
+    const base = path.join(path.dirname(wavFile), path.basename(wavFile, path.extname(wavFile)));
+    const jobs = [['flac', wavFile, `${base}.flac`, []]];
+    if (config.compressRaw && rawFile && fs.existsSync(rawFile)) {
+        // the raw capture has no header, SoX has to be told what it is like when it was converted to WAV
+        jobs.push(['rawFlac', rawFile, `${base}.raw.flac`, ['-t', 'raw', '-r', sampleRate, '-e', 'signed', '-b', '16', '-c', '1']]);
+    }
+
+    const result = {};
+    for (const [key, inputFile, flacFile, inputFormat] of jobs) {
+        try {
+            result[key] = await encodeFLAC(config, inputFile, flacFile, inputFormat, signal);
+            const percent = Math.round(result[key].size / result[key].originalSize * 100);
+            logger.info(`Compressed ${path.basename(inputFile)} to ${path.basename(flacFile)} (${percent}% of the original size), verified`);
+        } catch (error) {
+            logger.error(`Could not compress ${path.basename(inputFile)}, keeping it uncompressed: ${error.message}`);
+        }
+    }
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+// Function to list the files of a directory and everything below it, as paths relative to root
+function listTree(root, directory) {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const filePath = path.join(directory, entry.name);
+            if (entry.isDirectory()) return listTree(root, filePath);
+            return entry.isFile() ? [path.relative(root, filePath).split(path.sep).join('/')] : [];
+        });
+}
+
+/**
+ * Lists what goes into the archive of a recording: the audio (its FLAC when there is one), the decoded images
+ * (SatDump's output directory for LRPT), the sky plot and the sidecar. Raw captures and LRPT IQ stay out.
+ * @param {string} recordingFile - The recording (.wav, or .cu8 for LRPT)
+ * @returns {Array} - { name, path } per file, name relative to the recordings directory
+ */
+function archiveEntries(recordingFile) {
+    const directory = path.dirname(recordingFile);
+    const base = path.basename(recordingFile, path.extname(recordingFile));
+    const exists = name => fs.existsSync(path.join(directory, name));
+
+    const audio = [`${base}.flac`, `${base}.wav`].find(exists);
+    const names = [audio, `${base}.png`, `${base}.svg`]
+        .filter(name => name && exists(name));
+    if (exists(base) && fs.statSync(path.join(directory, base)).isDirectory()) {
+        names.push(...listTree(directory, path.join(directory, base)));
+    }
+    if (exists(`${base}.json`)) {
+        names.push(`${base}.json`);
+    }
+    return names.map(name => ({ name, path: path.join(directory, name) }));
+}
+
+// Function to build a ustar header, names over 100 bytes are split into the prefix field at a '/'
+function tarHeader(name, size, mtimeMs) {
+    let prefix = '';
+    if (Buffer.byteLength(name) > 100) {
+        const split = [...name.matchAll(/\//g)]
+            .map(match => match.index)
+            .find(index => Buffer.byteLength(name.slice(index + 1)) <= 100 && Buffer.byteLength(name.slice(0, index)) <= 155);
+        if (split === undefined) {
+            throw new Error(`${name} is too long for a tar archive`);
+        }
+        prefix = name.slice(0, split);
+        name = name.slice(split + 1);
+    }
+
+    const header = Buffer.alloc(TAR_BLOCK);
+    const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+    header.write(name, 0, 100);
+    header.write(octal(0o644, 8), 100);                        // mode
+    header.write(octal(0, 8), 108);                            // uid
+    header.write(octal(0, 8), 116);                            // gid
+    header.write(octal(size, 12), 124);
+    header.write(octal(Math.floor(mtimeMs / 1000), 12), 136);
+    header.write(' '.repeat(8), 148);                          // the checksum counts its own field as spaces
+    header.write('0', 156);                                    // a regular file
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    header.write(prefix, 345, 155);
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    return header;
+}
+
+/**
+ * Writes a tar (ustar) archive. It is written to a temporary file and renamed into place when complete.
+ * @param {string} archiveFile - The archive to write
+ * @param {Array} entries - { name, path } per file, name is the path inside the archive
+ * @returns {Promise<number>} - The size of the archive in bytes
+ */
+async function writeTar(archiveFile, entries) {
+    const tmpFile = `${archiveFile}.tmp`;
+    const output = await fs.promises.open(tmpFile, 'w');
+    try {
+        const buffer = Buffer.alloc(COPY_CHUNK);
+        for (const entry of entries) {
+            const stats = await fs.promises.stat(entry.path);
+            await output.write(tarHeader(entry.name, stats.size, stats.mtimeMs));
+
+            const input = await fs.promises.open(entry.path, 'r');
+            try {
+                let copied = 0;
+                while (copied < stats.size) {
+                    const { bytesRead } = await input.read(buffer, 0, Math.min(buffer.length, stats.size - copied), copied);
+                    if (bytesRead === 0) {
+                        throw new Error(`${entry.name} got shorter while it was archived`);
+                    }
+                    await output.write(buffer, 0, bytesRead);
+                    copied += bytesRead;
+                }
+            } finally {
+                await input.close();
+            }
+            await output.write(Buffer.alloc((TAR_BLOCK - stats.size % TAR_BLOCK) % TAR_BLOCK));
+        }
+        // two empty blocks end the archive
+        await output.write(Buffer.alloc(2 * TAR_BLOCK));
+        await output.close();
+        fs.renameSync(tmpFile, archiveFile);
+    } catch (error) {
+        await output.close().catch(() => {});
+        fs.rmSync(tmpFile, { force: true });
+        throw error;
+    }
+    return fs.statSync(archiveFile).size;
+}
+
+/**
+ * Bundles a recording into <name>.tar next to it, see archiveEntries() for what goes in.
+ * @param {string} recordingFile - The recording (.wav, or .cu8 for LRPT)
+ * @param {object} logger - Your logger instance
+ * @returns {Promise<object|null>} - { file, size, files } or null if the archive could not be written
+ */
+async function archiveRecording(recordingFile, logger) {
+    const base = path.basename(recordingFile, path.extname(recordingFile));
+    const archiveFile = path.join(path.dirname(recordingFile), `${base}.tar`);
+    const entries = archiveEntries(recordingFile);
+    try {
+        const size = await writeTar(archiveFile, entries);
+        logger.info(`Archived ${entries.length} files of ${base} to ${archiveFile}`);
+        return { file: path.basename(archiveFile), size, files: entries.map(entry => entry.name) };
+    } catch (error) {
+        logger.error(`Could not archive ${base}: ${error.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    encodeFLAC,
+    compressRecording,
+    archiveEntries,
+    writeTar,
+    archiveRecording
+};
@@ -1,13 +1,16 @@
 const fs = require('fs');
 const path = require('path');
+const { validateConfig } = require('./schema');
 
 const configName = 'ow-config.json';
 const configPathFile = 'configPath.json';
+const searchDirs = ['/media', '/mnt'];
 
 // Function to recursively find the config file in a directory and its subdirectories
-function findConfigFile(dir) {
+// log receives the progress messages, pass () => {} to keep a command's output clean
+function findConfigFile(dir, log = console.log) {
     if (!fs.existsSync(dir)) {
-        console.log(`Directory not found while finding config: ${dir}`);
+        log(`Directory not found while finding config: ${dir}`);
         return null;
     }
 
@@ -15,7 +18,7 @@ function findConfigFile(dir) {
     try {
         files = fs.readdirSync(dir);
     } catch (err) {
-        console.log(`Permission denied accessing directory: ${dir}`);
+        log(`Permission denied accessing directory: ${dir}`);
         return null;
     }
 
@@ -28,7 +31,7 @@ function findConfigFile(dir) {
             if (baseName.startsWith('.')) {
                 continue; // Skip hidden folders
             }
-            const result = findConfigFile(fullPath);
+            const result = findConfigFile(fullPath, log);
             if (result) return result;
         } else if (file === configName) {
             return fullPath;
@@ -37,11 +40,30 @@ function findConfigFile(dir) {
     return null;
 }
 
-// Function to load the configuration
+// Function to load the configuration, validated and with defaults merged in
+// Validation problems are printed, use loadValidatedConfig to handle them yourself
 function loadConfig() {
-    const searchDirs = ['/media', '/mnt'];
+    const result = loadValidatedConfig();
+    if (!result) {
+        return null;
+    }
+    result.errors.forEach(({ key, message }) => {
+        console.log(`Config error in ${key}: ${message}`);
+    });
+    return result.fatal ? null : result.config;
+}
+
+// Function to load and validate the configuration
+// Returns { config, errors, fatal } (see schema.js), or null if no config file could be read
+function loadValidatedConfig(log = console.log) {
+    const rawConfig = loadRawConfig(log);
+    return rawConfig ? validateConfig(rawConfig) : null;
+}
+
+// Function to find and read ow-config.json as it is on the USB stick
+function loadRawConfig(log = console.log) {
     for (const dir of searchDirs) {
-        const configPath = findConfigFile(dir);
+        const configPath = findConfigFile(dir, log);
         if (configPath) {
             try {
                 const configData = fs.readFileSync(configPath, 'utf8');
@@ -52,22 +74,24 @@ function loadConfig() {
 
                 // Get the directory of the config file
                 const configDir = path.dirname(configPath);
-                console.log(`Config directory: ${configDir}`);
-                configJson.saveDir = configDir;
+                log(`Config directory: ${configDir}`);
 
-                console.log(`Config file found at: ${configPath}`);
+                log(`Config file found at: ${configPath}`);
 
-                // Write the updated configData back to the configPath
-                fs.writeFileSync(configPath, JSON.stringify(configJson, null, 2), 'utf8');
+                // Write the updated saveDir back to the configPath, only when it changed so the file watcher isn't triggered
+                if (configJson.saveDir !== configDir) {
+                    configJson.saveDir = configDir;
+                    fs.writeFileSync(configPath, JSON.stringify(configJson, null, 2), 'utf8');
+                }
 
                 return configJson;
             } catch (err) {
-                console.log(`Error reading config file: ${err}`);
+                log(`Error reading config file: ${err}`);
                 return null;
             }
         }
     }
-    console.log('Config file not found (loadConfig)');
+    log('Config file not found (loadConfig)');
     return null;
 }
 
@@ -88,6 +112,28 @@ function saveConfig(config) {
     }
 }
 
+const SECRET_KEYS = /password|token|secret|key|authorization/i;
+
+// Function to get a copy of the configuration that is safe to show, with passwords, tokens and keys masked
+// also inside nested settings, e.g. the credentials and headers of uploadDestinations
+function redactConfig(config) {
+    if (Array.isArray(config)) {
+        return config.map(redactConfig);
+    }
+    if (!config || typeof config !== 'object') {
+        return config;
+    }
+    const redacted = {};
+    for (const [key, value] of Object.entries(config)) {
+        if (SECRET_KEYS.test(key) && value && typeof value !== 'object') {
+            redacted[key] = '********';
+        } else {
+            redacted[key] = redactConfig(value);
+        }
+    }
+    return redacted;
+}
+
 function getConfigPath() {
     if (fs.existsSync(configPathFile)) {
         const data = fs.readFileSync(configPathFile, 'utf8');
@@ -96,9 +142,115 @@ function getConfigPath() {
     return null;
 }
 
+// a cheap fingerprint of what is mounted: the entries of the search dirs and one level below them
+// (USB sticks are mounted as /media/<user>/<label> or /mnt/<label>)
+function mountSignature() {
+    const entries = [];
+    for (const dir of searchDirs) {
+        let children = [];
+        try {
+            children = fs.readdirSync(dir);
+        } catch (err) {
+            continue;
+        }
+        for (const child of children) {
+            entries.push(path.join(dir, child));
+            try {
+                fs.readdirSync(path.join(dir, child)).forEach(grandchild => entries.push(path.join(dir, child, grandchild)));
+            } catch (err) {
+                // not a directory or not readable
+            }
+        }
+    }
+    return entries.sort().join('|');
+}
+
+// modification fingerprint of a file, or null if it doesn't exist
+function fileSignature(filePath) {
+    try {
+        const stats = fs.statSync(filePath);
+        return `${stats.mtimeMs}:${stats.size}`;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Watches the active config file and the mount points, and reloads the config when either changes.
+ * Polling is used because fs.watch is unreliable on FAT-formatted USB sticks.
+ * @param {function} onChange - Called with the result of loadValidatedConfig() when a new, usable config is found
+ * @param {object} logger - Your logger instance
+ * @param {number} [intervalMs=10000] - How often to check
+ * @returns {function} - Call to stop watching
+ */
+function watchConfig(onChange, logger, intervalMs = 10000) {
+    let activePath = getConfigPath();
+    let activeSignature = activePath ? fileSignature(activePath) : null;
+    let mounts = mountSignature();
+    let reportedMissing = false;
+
+    const check = () => {
+        const currentMounts = mountSignature();
+        const mountsChanged = currentMounts !== mounts;
+        mounts = currentMounts;
+
+        const signature = activePath ? fileSignature(activePath) : null;
+        if (!mountsChanged && signature === activeSignature) {
+            return;
+        }
+
+        if (signature === null && !mountsChanged) {
+            if (!reportedMissing) {
+                logger.error(`Config file ${activePath} is no longer available, keeping the current config`);
+                reportedMissing = true;
+            }
+            return;
+        }
+
+        // the file changed, or a stick was plugged in or removed: look for the config again
+        const result = loadValidatedConfig();
+        const newPath = getConfigPath();
+        const newSignature = newPath ? fileSignature(newPath) : null;
+
+        if (newPath === activePath && newSignature === activeSignature) {
+            return; // only an unrelated mount changed
+        }
+
+        activePath = newPath;
+        activeSignature = newSignature;
+        reportedMissing = false;
+
+        if (!result) {
+            logger.error('Config changed but could not be read, keeping the current config');
+            return;
+        }
+        if (result.fatal) {
+            result.errors.forEach(({ key, message }) => logger.error(`Config error in ${key}: ${message}`));
+            logger.error('New config is invalid, keeping the current config');
+            return;
+        }
+
+        logger.info(`Config changed, reloading from ${activePath}`);
+        onChange(result);
+    };
+
+    const interval = setInterval(() => {
+        try {
+            check();
+        } catch (err) {
+            logger.error(`Error watching config: ${err.message}`);
+        }
+    }, intervalMs);
+
+    return () => clearInterval(interval);
+}
+
 module.exports = {
     findConfigFile,
     loadConfig,
+    loadValidatedConfig,
     saveConfig,
-    getConfigPath
+    getConfigPath,
+    redactConfig,
+    watchConfig
 };
@@ -0,0 +1,249 @@
+// destinations.js
+// This module sends a finished recording to the upload destinations configured in ow-config.json
+// Supported types: the open-weather API, a generic HTTP endpoint (multipart POST or PUT),
+// an S3-compatible bucket (AWS, MinIO, ...) and a local or network-mounted directory
+// A destination's "format" picks what it gets: the recording itself (original, the default), its FLAC (flac)
+// or the tar archive of the pass (archive), when compress.js made them
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const FormData = require('form-data');
+const { uploadFile } = require('./upload');
+
+const DEFAULT_DESTINATIONS = [{ name: 'open-weather', type: 'open-weather' }];
+
+// Function to get the configured destinations, each with a name (defaults to its type)
+function getDestinations(config) {
+    const destinations = config.uploadDestinations ?? DEFAULT_DESTINATIONS;
+    return destinations.map(destination => ({ ...destination, name: destination.name ?? destination.type }));
+}
+
+// the files belonging to an upload: the recording itself plus optional extras, as [field, filePath] pairs
+function uploadFiles(filePath, options) {
+    const files = [['file', filePath]];
+    if (options.imageFile && fs.existsSync(options.imageFile)) {
+        files.push(['image', options.imageFile]);
+    }
+    return files;
+}
+
+// Function to pick the form of a recording a destination gets, falls back to the recording itself
+// when there is no FLAC or archive of it; the archive already has the image in it
+function uploadForm(destination, filePath, options) {
+    const format = destination.format ?? 'original';
+    const file = { flac: options.flacFile, archive: options.archiveFile }[format];
+    if (!file || !fs.existsSync(file)) {
+        return { filePath, options };
+    }
+    return { filePath: file, options: format === 'archive' ? { ...options, imageFile: null } : options };
+}
+
+// turn an axios error into the structured failure the outbox expects
+function failure(error) {
+    return {
+        success: false,
+        message: error.message,
+        ...(error.response && { status: error.response.status, data: error.response.data })
+    };
+}
+
+// open-weather community API, the original upload.js behaviour
+async function uploadToOpenWeather(destination, filePath, jsonData, options, config, logger) {
+    return uploadFile(filePath, { ...jsonData, auth_token: config.auth_token }, logger, {
+        ...options,
+        url: destination.url
+    });
+}
+
+// generic HTTP endpoint: multipart POST (like open-weather) or one PUT per file
+async function uploadToHTTP(destination, filePath, jsonData, options, config, logger) {
+    const method = (destination.method ?? 'POST').toUpperCase();
+    const headers = destination.headers ?? {};
+
+    try {
+        if (method === 'PUT') {
+            // PUT each file (and the metadata as JSON) to <url>/<file name>
+            const baseUrl = destination.url.replace(/\/$/, '');
+            for (const [, file] of uploadFiles(filePath, options)) {
+                const stats = fs.statSync(file);
+                await axios.put(`${baseUrl}/${encodeURIComponent(path.basename(file))}`, fs.createReadStream(file), {
+                    headers: { ...headers, 'Content-Type': 'application/octet-stream', 'Content-Length': stats.size },
+                    maxBodyLength: Infinity
+                });
+            }
+            const metadataName = `${path.basename(filePath, path.extname(filePath))}.json`;
+            await axios.put(`${baseUrl}/${encodeURIComponent(metadataName)}`, jsonData, { headers });
+            return { success: true };
+        }
+
+        const form = new FormData();
+        const fileField = destination.fileField ?? 'file';
+        for (const [field, file] of uploadFiles(filePath, options)) {
+            form.append(field === 'file' ? fileField : field, fs.createReadStream(file), path.basename(file));
+        }
+        Object.entries(jsonData).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+            }
+        });
+
+        const response = await axios.post(destination.url, form, {
+            headers: { ...headers, ...form.getHeaders() },
+            maxBodyLength: Infinity
+        });
+        logger.info(`Upload to ${destination.name} response: ${JSON.stringify(response.data)}`);
+        return { success: true, data: response.data };
+    } catch (error) {
+        return failure(error);
+    }
+}
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as required by AWS Signature Version 4
+function encodeRFC3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Signs an S3 request with AWS Signature Version 4.
+ * @param {object} request - { method, url, headers, region, accessKeyId, secretAccessKey, payloadHash, date }
+ * @returns {object} - The headers to send, including Authorization
+ */
+function signS3Request({ method, url, headers = {}, region, accessKeyId, secretAccessKey, payloadHash = 'UNSIGNED-PAYLOAD', date = new Date() }) {
+    const parsed = new URL(url);
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const allHeaders = {
+        ...headers,
+        host: parsed.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+
+    const canonicalHeaders = Object.keys(allHeaders)
+        .map(name => [name.toLowerCase(), String(allHeaders[name]).trim().replace(/\s+/g, ' ')])
+        .sort(([a], [b]) => (a < b ? -1 : 1));
+    const signedHeaders = canonicalHeaders.map(([name]) => name).join(';');
+
+    const canonicalQuery = [...parsed.searchParams.entries()]
+        .map(([key, value]) => `${encodeRFC3986(key)}=${encodeRFC3986(value)}`)
+        .sort()
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        parsed.pathname,
+        canonicalQuery,
+        canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+        ...allHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+}
+
+// S3-compatible bucket, path-style URLs (<endpoint>/<bucket>/<key>) so it works with MinIO
+async function uploadToS3(destination, filePath, jsonData, options, config, logger) {
+    const region = destination.region ?? 'us-east-1';
+    const endpoint = (destination.endpoint ?? `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+    const prefix = destination.prefix ?? '';
+
+    const putObject = async (key, body, contentType, contentLength) => {
+        const url = `${endpoint}/${encodeRFC3986(destination.bucket)}/${key.split('/').map(encodeRFC3986).join('/')}`;
+        const headers = signS3Request({
+            method: 'PUT',
+            url,
+            headers: { 'content-type': contentType, 'content-length': contentLength },
+            region,
+            accessKeyId: destination.accessKeyId,
+            secretAccessKey: destination.secretAccessKey
+        });
+        delete headers.host; // set by the HTTP client
+        await axios.put(url, body, { headers, maxBodyLength: Infinity });
+    };
+
+    try {
+        for (const [, file] of uploadFiles(filePath, options)) {
+            const stats = fs.statSync(file);
+            await putObject(`${prefix}${path.basename(file)}`, fs.createReadStream(file), 'application/octet-stream', stats.size);
+        }
+
+        const metadata = Buffer.from(JSON.stringify(jsonData, null, 2));
+        const metadataKey = `${prefix}${path.basename(filePath, path.extname(filePath))}.json`;
+        await putObject(metadataKey, metadata, 'application/json', metadata.length);
+
+        logger.info(`Uploaded ${path.basename(filePath)} to bucket ${destination.bucket}`);
+        return { success: true };
+    } catch (error) {
+        return failure(error);
+    }
+}
+
+// local or NFS-mounted directory: copy the files and write the metadata next to them
+async function uploadToDirectory(destination, filePath, jsonData, options, config, logger) {
+    try {
+        fs.mkdirSync(destination.path, { recursive: true });
+        for (const [, file] of uploadFiles(filePath, options)) {
+            await fs.promises.copyFile(file, path.join(destination.path, path.basename(file)));
+        }
+        const metadataFile = path.join(destination.path, `${path.basename(filePath, path.extname(filePath))}.json`);
+        await fs.promises.writeFile(metadataFile, JSON.stringify(jsonData, null, 2));
+
+        logger.info(`Copied ${path.basename(filePath)} to ${destination.path}`);
+        return { success: true };
+    } catch (error) {
+        return failure(error);
+    }
+}
+
+const UPLOADERS = {
+    'open-weather': uploadToOpenWeather,
+    http: uploadToHTTP,
+    s3: uploadToS3,
+    directory: uploadToDirectory
+};
+
+/**
+ * Uploads a recording to one destination.
+ * @param {object} destination - An entry of config.uploadDestinations
+ * @param {string} filePath - Path to the recording
+ * @param {object} jsonData - Metadata to send along (without auth_token)
+ * @param {object} options - Upload options, e.g. { imageFile, flacFile, archiveFile }
+ * @param {object} config - The station configuration
+ * @param {object} logger - Your logger instance
+ * @returns {object} - { success: true, ... } or a structured failure
+ */
+async function uploadToDestination(destination, filePath, jsonData, options, config, logger) {
+    const uploader = UPLOADERS[destination.type];
+    if (!uploader) {
+        return { success: false, message: `Unknown upload destination type: ${destination.type}` };
+    }
+    const upload = uploadForm(destination, filePath, options);
+    logger.info(`Uploading ${path.basename(upload.filePath)} to ${destination.name} (${destination.type})`);
+    return uploader(destination, upload.filePath, jsonData, upload.options, config, logger);
+}
+
+module.exports = {
+    getDestinations,
+    uploadToDestination,
+    signS3Request
+};
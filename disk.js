@@ -1,44 +1,233 @@
 // disk.js
+// This module keeps the USB stick from filling up. The retention policy deletes recordings from saveDir/recordings
+// by free space, total size, age and count, oldest first. A recording is the group of files sharing its name:
+// raw captures (.raw, .iq), the recording itself (.wav, .cu8, and the FLACs of the WAV and raw capture), images
+// (.png, .svg and SatDump's output directory), the archive (.tar) and the sidecar (.json). Raw captures go first,
+// sidecars are kept as a record of the pass. With config.compressDeleteOriginals the WAV and raw capture are deleted
+// once compress.js has made a verified FLAC of them. Recordings still waiting for upload only lose their raw captures.
+
 const fs = require('fs');
 const path = require('path');
 const checkDiskSpace = require('check-disk-space').default;
+const clock = require('./clock');
+const { listOutbox } = require('./outbox');
+const { updateSidecar } = require('./metadata');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MB = 1024 * 1024;
+// a recording without a sidecar is still being recorded or processed, unless it is older than this
+const UNFINISHED_MS = 24 * HOUR_MS;
+
+// get free/total space for the disk holding mediaPath
+async function getDiskUsage(mediaPath) {
+    const diskSpace = await checkDiskSpace(mediaPath);
+    return {
+        path: mediaPath,
+        free: diskSpace.free,
+        size: diskSpace.size,
+        percentFree: Number(((diskSpace.free / diskSpace.size) * 100).toFixed(2))
+    };
+}
 
-function checkDisk(logger, mediaPath, deleteOldestRecordings) {
-    logger.info(`Checking disk space on ${mediaPath}...`);
+// which part of a recording a file in the recordings directory is, null for files retention leaves alone
+function fileKind(name, isDirectory) {
+    if (isDirectory) {
+        return 'image'; // SatDump writes the channels of an LRPT recording into a directory named like it
+    }
+    const ext = path.extname(name).toLowerCase();
+    if (['.raw', '.iq'].includes(ext)) return 'raw';
+    if (['.wav', '.cu8', '.flac'].includes(ext)) return 'audio';
+    if (['.png', '.svg'].includes(ext)) return 'image';
+    if (ext === '.tar') return 'archive';
+    if (ext === '.json') return 'sidecar';
+    return null;
+}
+
+// the name of the recording a file belongs to, "X.raw.flac" is the FLAC of "X.raw"
+function recordingName(name, isDirectory) {
+    if (isDirectory) {
+        return name;
+    }
+    return name.toLowerCase().endsWith('.raw.flac') ? name.slice(0, -'.raw.flac'.length) : path.basename(name, path.extname(name));
+}
+
+// size of a file, or of everything below a directory
+function sizeOf(filePath, isDirectory) {
+    if (!isDirectory) {
+        return fs.statSync(filePath).size;
+    }
+    return fs.readdirSync(filePath, { withFileTypes: true })
+        .reduce((total, entry) => total + sizeOf(path.join(filePath, entry.name), entry.isDirectory()), 0);
+}
 
-    checkDiskSpace(mediaPath).then((diskSpace) => {
-        let percentFree = (diskSpace.free / diskSpace.size) * 100;
-        logger.info(`Disk space on ${mediaPath}: ${diskSpace.free} bytes free, or ${percentFree.toFixed(2)}%`);
+/**
+ * Groups the files in the recordings directory by recording.
+ * @param {string} directory - The recordings directory
+ * @returns {Array} - { name, time, files: [{ path, kind, size, isDirectory }] } per recording, oldest first
+ */
+function scanRecordings(directory) {
+    const groups = new Map();
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const kind = fileKind(entry.name, entry.isDirectory());
+        if (!kind) continue;
 
-        // if less than 10% free space, delete oldest recordings
-        if (percentFree < 10) {
-            logger.info(`Less than 10% free space on ${mediaPath}. Deleting oldest 2 recordings...`);
-            deleteOldestRecordings(mediaPath, 2, logger);
+        const filePath = path.join(directory, entry.name);
+        const name = recordingName(entry.name, entry.isDirectory());
+        if (!groups.has(name)) {
+            groups.set(name, { name, time: Infinity, files: [] });
         }
+        const group = groups.get(name);
+        group.time = Math.min(group.time, fs.statSync(filePath).mtimeMs);
+        group.files.push({ path: filePath, kind, size: sizeOf(filePath, entry.isDirectory()), isDirectory: entry.isDirectory() });
+    }
+    return [...groups.values()].sort((a, b) => a.time - b.time);
+}
 
-    }).catch((error) => {
-        logger.error(`Error checking disk space: ${error.message}`);
-    });
+// the retention limits from the config, 0 turns a limit off
+function retentionLimits(config) {
+    return {
+        minFreePercent: config.retentionMinFreePercent ?? 10,
+        maxSizeMB: config.retentionMaxSizeMB ?? 0,
+        maxAgeDays: config.retentionMaxAgeDays ?? 0,
+        maxRecordings: config.retentionMaxRecordings ?? 0,
+        rawHours: config.retentionRawHours ?? 24
+    };
 }
 
-function deleteOldestRecordings(directory, count, logger) {
-    try {
-        const files = fs.readdirSync(directory).filter(file => file.endsWith('.wav'));
+/**
+ * Applies the retention policy to saveDir/recordings.
+ * @param {object} config - The station configuration (saveDir and the retention* keys)
+ * @param {object} logger - Your logger instance
+ * @param {object} [options] - { dryRun } to only report what would be deleted
+ * @returns {Promise<object>} - { deleted: [{ name, kinds, bytes, reason }], freed } where freed is in bytes
+ */
+async function applyRetention(config, logger, { dryRun = false } = {}) {
+    const directory = path.join(config.saveDir, 'recordings');
+    const result = { deleted: [], freed: 0 };
+    if (!fs.existsSync(directory)) {
+        return result;
+    }
 
-        // Sort .wav files by creation time in ascending order
-        files.sort((a, b) => {
-            return fs.statSync(path.join(directory, a)).birthtime - fs.statSync(path.join(directory, b)).birthtime;
-        });
+    const limits = retentionLimits(config);
+    const now = clock.now().getTime();
+    const groups = scanRecordings(directory);
 
-        // Delete the oldest recordings
-        files.slice(0, count).forEach(file => {
-            const filePath = path.join(directory, file);
-            fs.unlinkSync(filePath);
-            logger.info(`Deleted file: ${filePath}`);
+    // the files of uploads that haven't finished yet
+    const waiting = new Set(listOutbox(config)
+        .filter(item => item.state === 'pending' || item.state === 'uploading')
+        .flatMap(item => [item.file, ...(item.options ? [item.options.imageFile, item.options.flacFile, item.options.archiveFile] : [])])
+        .filter(Boolean)
+        .map(file => path.resolve(file)));
+
+    groups.forEach(group => {
+        const hasSidecar = group.files.some(file => file.kind === 'sidecar');
+        group.unfinished = !hasSidecar && now - group.time < UNFINISHED_MS;
+        group.waitingForUpload = group.files.some(file => waiting.has(path.resolve(file.path)));
+    });
+
+    const remaining = (group, kinds) => group.files.filter(file => !file.deleted && kinds.includes(file.kind));
+    const hasRecording = group => remaining(group, ['audio', 'image', 'archive']).length > 0;
+
+    // Function to delete some parts of a recording, optionally only the files matching `only`, returns the bytes freed
+    const remove = (group, kinds, reason, only = () => true) => {
+        if (group.unfinished) {
+            return 0;
+        }
+        // a recording waiting for upload only gives up its raw captures
+        const allowed = group.waitingForUpload ? kinds.filter(kind => kind === 'raw') : kinds;
+        const files = remaining(group, allowed).filter(only);
+        if (files.length === 0) {
+            return 0;
+        }
+
+        const bytes = files.reduce((total, file) => total + file.size, 0);
+        if (!dryRun) {
+            files.forEach(file => fs.rmSync(file.path, { recursive: file.isDirectory, force: true }));
+            if (allowed.includes('audio')) {
+                updateSidecar(path.join(directory, `${group.name}.json`), {
+                    retention: { deletedAt: clock.now().toISOString(), reason, files: files.map(file => path.basename(file.path)) }
+                });
+            }
+        }
+        files.forEach(file => { file.deleted = true; });
+        result.deleted.push({ name: group.name, kinds: [...new Set(files.map(file => file.kind))], bytes, reason });
+        result.freed += bytes;
+        logger.info(`${dryRun ? 'Would delete' : 'Deleted'} ${files.map(file => path.basename(file.path)).join(', ')} (${(bytes / MB).toFixed(1)} MB): ${reason}`);
+        return bytes;
+    };
+
+    // the originals aren't needed once there is a FLAC of them, compress.js only keeps FLACs it has verified
+    if (config.compressDeleteOriginals) {
+        groups.forEach(group => {
+            const names = new Set(remaining(group, ['raw', 'audio']).map(file => path.basename(file.path)));
+            const compressed = file => (file.path.endsWith('.wav') && names.has(`${group.name}.flac`)) ||
+                (file.path.endsWith('.raw') && names.has(`${group.name}.raw.flac`));
+            remove(group, ['raw', 'audio'], 'compressed to FLAC', compressed);
         });
-    } catch (error) {
-        logger.error(`Error deleting oldest recordings: ${error.message}`);
     }
+
+    // raw captures are only needed to process the recording again
+    if (limits.rawHours > 0) {
+        groups
+            .filter(group => now - group.time > limits.rawHours * HOUR_MS)
+            .forEach(group => remove(group, ['raw'], `raw capture older than ${limits.rawHours} hours`));
+    }
+
+    if (limits.maxAgeDays > 0) {
+        groups
+            .filter(group => now - group.time > limits.maxAgeDays * 24 * HOUR_MS)
+            .forEach(group => remove(group, ['raw', 'audio', 'image', 'archive'], `older than ${limits.maxAgeDays} days`));
+    }
+
+    if (limits.maxRecordings > 0) {
+        const recordings = groups.filter(hasRecording);
+        recordings
+            .slice(0, Math.max(0, recordings.length - limits.maxRecordings))
+            .forEach(group => remove(group, ['raw', 'audio', 'image', 'archive'], `more than ${limits.maxRecordings} recordings`));
+    }
+
+    // Function to free bytes, raw captures of every recording first, then whole recordings, oldest first
+    const free = (bytes, reason) => {
+        let freed = 0;
+        for (const kinds of [['raw'], ['raw', 'audio', 'image', 'archive']]) {
+            for (const group of groups) {
+                if (freed >= bytes) return freed;
+                freed += remove(group, kinds, reason);
+            }
+        }
+        if (freed < bytes) {
+            logger.warn(`Could not free enough space (${reason}), the remaining recordings are waiting for upload or still being recorded`);
+        }
+        return freed;
+    };
+
+    if (limits.maxSizeMB > 0) {
+        const total = groups.reduce((sum, group) => sum + remaining(group, ['raw', 'audio', 'image', 'archive', 'sidecar'])
+            .reduce((groupTotal, file) => groupTotal + file.size, 0), 0);
+        if (total > limits.maxSizeMB * MB) {
+            free(total - limits.maxSizeMB * MB, `recordings take more than ${limits.maxSizeMB} MB`);
+        }
+    }
+
+    if (limits.minFreePercent > 0) {
+        try {
+            const usage = await getDiskUsage(config.saveDir);
+            // what was deleted above is already free, a dry run has to count it in
+            const freeBytes = usage.free + (dryRun ? result.freed : 0);
+            const needed = usage.size * limits.minFreePercent / 100 - freeBytes;
+            logger.debug(`Disk space on ${config.saveDir}: ${usage.free} bytes free, or ${usage.percentFree}%`);
+            if (needed > 0) {
+                free(needed, `less than ${limits.minFreePercent}% free space`);
+            }
+        } catch (error) {
+            logger.error(`Error checking disk space: ${error.message}`);
+        }
+    }
+
+    if (result.deleted.length > 0) {
+        logger.info(`Retention ${dryRun ? 'would free' : 'freed'} ${(result.freed / MB).toFixed(1)} MB from ${new Set(result.deleted.map(entry => entry.name)).size} recording(s)`);
+    }
+    return result;
 }
 
-module.exports = { checkDisk, deleteOldestRecordings };
+module.exports = { applyRetention, scanRecordings, getDiskUsage };
@@ -0,0 +1,102 @@
+/* dsp.js
+    This module turns raw IQ samples from an RTL-SDR (unsigned 8-bit, interleaved I/Q) into
+    FM-demodulated audio, the same signed 16-bit mono PCM that rtl_fm writes to stdout.
+    The IQ stream is low-pass filtered and decimated to the audio rate, demodulated with
+    a phase discriminator and optionally de-emphasized like `rtl_fm -E deemp`.
+*/
+
+const DEEMPHASIS_TAU = 75e-6;       // seconds, the time constant rtl_fm uses
+const OUTPUT_SCALE = 16384 / Math.PI; // rtl_fm's scaling of the phase difference to 16-bit samples
+
+// windowed-sinc low-pass filter taps, cutoff given as a fraction of the sample rate
+function lowPassTaps(count, cutoff) {
+    const taps = new Float32Array(count);
+    const middle = (count - 1) / 2;
+    let sum = 0;
+    for (let i = 0; i < count; i++) {
+        const x = i - middle;
+        const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+        const hamming = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (count - 1));
+        taps[i] = sinc * hamming;
+        sum += taps[i];
+    }
+    return taps.map(tap => tap / sum);
+}
+
+/**
+ * Streaming FM demodulator: feed it chunks of IQ bytes, get 16-bit PCM audio back.
+ * The input rate should be a whole multiple of the output rate.
+ */
+class FMDemodulator {
+    constructor({ inputRate, outputRate, deemphasis = true }) {
+        this.decimation = Math.max(1, Math.round(inputRate / outputRate));
+        this.outputRate = inputRate / this.decimation;
+        this.taps = lowPassTaps(8 * this.decimation + 1, 0.45 / this.decimation);
+        this.historyI = new Float32Array(this.taps.length - 1);
+        this.historyQ = new Float32Array(this.taps.length - 1);
+        this.phase = 0;             // input samples to skip before the next output sample
+        this.carry = null;          // an odd byte left over from the previous chunk
+        this.previousI = 1;
+        this.previousQ = 0;
+        this.deemphasisAlpha = deemphasis ? 1 - Math.exp(-1 / (this.outputRate * DEEMPHASIS_TAU)) : 1;
+        this.deemphasized = 0;
+    }
+
+    // Function to demodulate a chunk of IQ bytes, returns a Buffer of signed 16-bit little-endian samples
+    process(chunk) {
+        let bytes = chunk;
+        if (this.carry !== null) {
+            bytes = Buffer.concat([Buffer.from([this.carry]), chunk]);
+            this.carry = null;
+        }
+        if (bytes.length % 2 === 1) {
+            this.carry = bytes[bytes.length - 1];
+            bytes = bytes.subarray(0, bytes.length - 1);
+        }
+
+        // I/Q as floats in [-1, 1], after the filter history of the previous chunk
+        const historyLength = this.historyI.length;
+        const count = bytes.length / 2;
+        const i = new Float32Array(historyLength + count);
+        const q = new Float32Array(historyLength + count);
+        i.set(this.historyI);
+        q.set(this.historyQ);
+        for (let n = 0; n < count; n++) {
+            i[historyLength + n] = (bytes[2 * n] - 127.5) / 127.5;
+            q[historyLength + n] = (bytes[2 * n + 1] - 127.5) / 127.5;
+        }
+
+        const output = [];
+        const taps = this.taps;
+        let position = historyLength + this.phase;
+        for (; position < i.length; position += this.decimation) {
+            // low-pass filter only at the samples that are kept
+            let fi = 0;
+            let fq = 0;
+            const start = position - historyLength;
+            for (let k = 0; k < taps.length; k++) {
+                fi += taps[k] * i[start + k];
+                fq += taps[k] * q[start + k];
+            }
+
+            // phase difference to the previous sample: angle(z[n] * conj(z[n-1]))
+            const re = fi * this.previousI + fq * this.previousQ;
+            const im = fq * this.previousI - fi * this.previousQ;
+            this.previousI = fi;
+            this.previousQ = fq;
+
+            this.deemphasized += this.deemphasisAlpha * (Math.atan2(im, re) - this.deemphasized);
+            output.push(Math.max(-32768, Math.min(32767, Math.round(this.deemphasized * OUTPUT_SCALE))));
+        }
+
+        this.phase = position - i.length;
+        this.historyI = i.slice(i.length - historyLength);
+        this.historyQ = q.slice(q.length - historyLength);
+
+        const pcm = Buffer.alloc(output.length * 2);
+        output.forEach((sample, n) => pcm.writeInt16LE(sample, n * 2));
+        return pcm;
+    }
+}
+
+module.exports = { FMDemodulator, lowPassTaps };
@@ -0,0 +1,226 @@
+// export.js
+// This module exports the predicted passes as an iCalendar feed (.ics) and as CSV, for calendars and spreadsheets,
+// and the passes of the planning horizon as a sky plot (.svg, see skyplot.js)
+// The scheduler writes them next to passes.json (passes.ics, passes.csv and passes.svg) every time it plans,
+// config.exportFormats picks which ones. To export by hand:
+//   node export.js                                  (writes the configured formats to saveDir)
+//   node export.js --ics week.ics --csv week.csv    (writes them to the given files instead, --svg for the sky plot)
+
+const path = require('path');
+const { passKey, passStartTime, passEndTime, readPassesFile, selectPasses } = require('./passes');
+const { renderPlanSkyPlot } = require('./skyplot');
+const { writeFileAtomic } = require('./files');
+const clock = require('./clock');
+const packageJson = require('./package.json');
+
+const CSV_COLUMNS = ['satellite', 'norad', 'frequency', 'profile', 'aos', 'tca', 'los', 'maxElevation', 'durationMinutes', 'selected', 'status', 'skipReason'];
+
+// "2026-10-20T16:35:39.000+00:00" -> "2026-10-20T16:35:39Z"
+function isoUTC(value) {
+    return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// the exported fields of a pass; planKeys are the passKey()s selected for recording
+function describePass(pass, planKeys) {
+    const selected = planKeys.has(passKey(pass)) || Boolean(pass.recorded);
+    let status = 'not selected';
+    if (pass.recorded) {
+        status = 'recorded';
+    } else if (pass.skipped) {
+        status = 'skipped';
+    } else if (selected) {
+        status = 'planned';
+    }
+
+    return {
+        satellite: pass.satellite,
+        norad: pass.norad ?? '',
+        frequency: pass.frequency,
+        profile: pass.profile ?? 'apt',
+        // passes predicted before AOS/LOS were stored only have the buffered recording window
+        aos: isoUTC(pass.aos ?? passStartTime(pass)),
+        tca: pass.tca ? isoUTC(pass.tca) : '',
+        los: isoUTC(pass.los ?? passEndTime(pass)),
+        maxElevation: parseFloat(pass.maxElevation) || '',
+        durationMinutes: pass.duration,
+        selected,
+        status,
+        skipReason: pass.skipReason ?? ''
+    };
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats passes as CSV, one row per pass with a header row.
+ * @param {Array} passes - Entries from passes.json
+ * @param {Set<string>} [planKeys] - The passKey()s of the passes selected for recording
+ * @returns {string} - The CSV text
+ */
+function toCSV(passes, planKeys = new Set()) {
+    const rows = passes
+        .map(pass => describePass(pass, planKeys))
+        .map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// escape TEXT values (RFC 5545 3.3.11)
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// "2026-10-20T16:35:39Z" -> "20261020T163539Z"
+function icsTime(iso) {
+    return iso.replace(/[-:]/g, '');
+}
+
+// lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats passes as an iCalendar feed, one event from AOS to LOS per pass.
+ * @param {Array} passes - Entries from passes.json
+ * @param {object} config - The station configuration (myID, locLat, locLon)
+ * @param {Set<string>} [planKeys] - The passKey()s of the passes selected for recording
+ * @returns {string} - The .ics text
+ */
+function toICS(passes, config, planKeys = new Set()) {
+    const stamp = icsTime(isoUTC(clock.now()));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//open-weather//ground station ${packageJson.version}//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(`Satellite passes, station ${config.myID}`)}`
+    ];
+
+    passes.forEach(pass => {
+        const row = describePass(pass, planKeys);
+        const summary = `${row.satellite} ${row.maxElevation}°${row.selected ? ` (${row.status})` : ''}`;
+        const description = [
+            `Satellite: ${row.satellite}${row.norad ? ` (NORAD ${row.norad})` : ''}`,
+            `Frequency: ${row.frequency}`,
+            `Profile: ${row.profile}`,
+            `AOS: ${row.aos}`,
+            ...(row.tca ? [`TCA: ${row.tca}`] : []),
+            `LOS: ${row.los}`,
+            `Max elevation: ${row.maxElevation}°`,
+            `Selected for recording: ${row.selected ? 'yes' : 'no'}`,
+            `Status: ${row.status}${row.skipReason ? ` (${row.skipReason})` : ''}`
+        ].join('\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            // stable across re-predictions of the same pass, so calendars update the event instead of duplicating it
+            `UID:${icsText(`${row.norad || row.satellite.replace(/\s+/g, '-')}-${icsTime(row.aos).slice(0, 11)}@station-${config.myID}.open-weather`)}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${icsTime(row.aos)}`,
+            `DTEND:${icsTime(row.los)}`,
+            `SUMMARY:${icsText(summary)}`,
+            `DESCRIPTION:${icsText(description)}`,
+            `GEO:${config.locLat};${config.locLon}`,
+            `CATEGORIES:${icsText(row.selected ? 'Selected for recording' : 'Not selected')}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Function to draw the passes of the planning horizon (config.planningHorizonHours) as a sky plot
+function toSkyPlot(passes, config, planKeys = new Set()) {
+    const now = clock.now();
+    const horizonEnd = new Date(now.getTime() + (config.planningHorizonHours ?? 24) * 60 * 60 * 1000);
+    const upcoming = passes.filter(pass => passEndTime(pass) > now && passStartTime(pass) < horizonEnd);
+    return renderPlanSkyPlot(upcoming, planKeys, { horizon: config.horizon });
+}
+
+// Function to render the passes in an export format: ics, csv or svg
+function formatExport(format, passes, config, planKeys) {
+    if (format === 'ics') {
+        return toICS(passes, config, planKeys);
+    }
+    return format === 'csv' ? toCSV(passes, planKeys) : toSkyPlot(passes, config, planKeys);
+}
+
+// Function to get where an export format is written: next to passes.json, e.g. passes.ics
+function exportPath(config, format) {
+    return path.join(config.saveDir, `${path.basename(config.passesFile ?? 'passes.json', '.json')}.${format}`);
+}
+
+/**
+ * Writes the configured export formats (config.exportFormats) next to passes.json.
+ * @param {object} config - The station configuration
+ * @param {Array} passes - Entries from passes.json
+ * @param {Set<string>} planKeys - The passKey()s of the passes selected for recording
+ * @returns {string[]} - The files written
+ */
+function writePassExports(config, passes, planKeys) {
+    return (config.exportFormats ?? ['ics', 'csv', 'svg']).map(format => {
+        const filePath = exportPath(config, format);
+        writeFileAtomic(filePath, formatExport(format, passes, config, planKeys));
+        return filePath;
+    });
+}
+
+// parse `[--ics <file>] [--csv <file>] [--svg <file>]`
+function parseArgs(argv) {
+    const targets = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (['--ics', '--csv', '--svg'].includes(argv[i])) {
+            targets[argv[i].slice(2)] = argv[++i];
+        }
+    }
+    return targets;
+}
+
+if (require.main === module) {
+    const { loadConfig } = require('./config');
+
+    const config = loadConfig();
+    if (!config) {
+        console.error('No valid ow-config.json found');
+        process.exit(1);
+    }
+
+    const passesFilePath = path.resolve(config.saveDir, config.passesFile);
+    const passes = readPassesFile(passesFilePath, { error: message => console.error(message) });
+    const planKeys = selectPasses(passes, config, clock.now());
+    const targets = parseArgs(process.argv.slice(2));
+
+    if (Object.keys(targets).length === 0) {
+        writePassExports(config, passes, planKeys).forEach(file => console.log(`Wrote ${file}`));
+    } else {
+        for (const [format, target] of Object.entries(targets)) {
+            writeFileAtomic(target, formatExport(format, passes, config, planKeys));
+            console.log(`Wrote ${target}`);
+        }
+    }
+} else {
+    module.exports = {
+        describePass,
+        toCSV,
+        toICS,
+        toSkyPlot,
+        writePassExports,
+        exportPath
+    };
+}
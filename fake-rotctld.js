@@ -0,0 +1,145 @@
+// fake-rotctld.js
+// A stand-in for Hamlib's rotctld that answers the rotator commands and remembers what it was told
+// simulate.js starts one when the config has "rotator": true; to test the rotator by hand without hardware:
+//   node fake-rotctld.js --port 4533 [--host 127.0.0.1] [--speed 6] [--min-az 0] [--max-az 360] [--min-el 0] [--max-el 90]
+// and set "rotator": true, "rotatorHost": "127.0.0.1", "rotatorPort": 4533 in ow-config.json
+// --speed is how fast the fake rotator turns in degrees per second, 0 (the default) moves instantly.
+// Positions outside the limits are answered with RPRT -1, like rotctld does
+
+const net = require('net');
+
+const RIG_EINVAL = -1;
+const RIG_ENIMPL = -4;
+
+// parse `[--port 4533] [--host 127.0.0.1] [--speed 0] [--min-az 0] [--max-az 360] [--min-el 0] [--max-el 90]`
+function parseArgs(argv) {
+    const options = { port: 4533, host: '127.0.0.1', speed: 0, limits: {} };
+    const limitNames = { '--min-az': 'minAzimuth', '--max-az': 'maxAzimuth', '--min-el': 'minElevation', '--max-el': 'maxElevation' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (limitNames[arg]) {
+            options.limits[limitNames[arg]] = Number(argv[++i]);
+        } else if (arg.startsWith('--')) {
+            options[arg.slice(2)] = arg.slice(2) === 'host' ? argv[++i] : Number(argv[++i]);
+        }
+    }
+    return options;
+}
+
+/**
+ * Starts a fake rotctld.
+ * @param {object} [options] - { port (0 picks a free one), host, speed (degrees per second, 0 moves instantly),
+ *                               limits ({ minAzimuth, maxAzimuth, minElevation, maxElevation }), log (function) }
+ * @returns {Promise<object>} - { host, port, commands, position(), close() } where commands lists the moves received, oldest first
+ */
+function startFakeRotctld({ port = 0, host = '127.0.0.1', speed = 0, limits = {}, log = () => {} } = {}) {
+    const { minAzimuth = 0, maxAzimuth = 360, minElevation = 0, maxElevation = 90 } = limits;
+    const commands = [];
+    // where the rotator was when it last started moving, and where it is heading
+    let from = { azimuth: 0, elevation: 0 };
+    let target = { ...from };
+    let movedAt = Date.now();
+
+    // the rotator turns both axes at `speed` until it reaches the target
+    const position = () => {
+        if (!speed) return { ...target };
+        const travelled = (Date.now() - movedAt) / 1000 * speed;
+        const step = (start, end) => start + Math.sign(end - start) * Math.min(Math.abs(end - start), travelled);
+        return { azimuth: step(from.azimuth, target.azimuth), elevation: step(from.elevation, target.elevation) };
+    };
+
+    const moveTo = (azimuth, elevation) => {
+        from = position();
+        target = { azimuth, elevation };
+        movedAt = Date.now();
+    };
+
+    // Function to answer one command line, returns the reply or null to close the connection
+    const answer = (line) => {
+        const [name, ...args] = line.trim().split(/\s+/);
+        switch (name) {
+            case 'P':
+            case '\\set_pos': {
+                const [azimuth, elevation] = args.map(Number);
+                const valid = !isNaN(azimuth) && !isNaN(elevation) &&
+                    azimuth >= minAzimuth && azimuth <= maxAzimuth && elevation >= minElevation && elevation <= maxElevation;
+                commands.push({ time: new Date().toISOString(), azimuth, elevation, accepted: valid });
+                if (!valid) {
+                    log(`rejected position ${args.join(' ')}`);
+                    return `RPRT ${RIG_EINVAL}\n`;
+                }
+                log(`moving to azimuth ${azimuth} elevation ${elevation}`);
+                moveTo(azimuth, elevation);
+                return 'RPRT 0\n';
+            }
+            case 'p':
+            case '\\get_pos': {
+                const { azimuth, elevation } = position();
+                return `${azimuth.toFixed(6)}\n${elevation.toFixed(6)}\n`;
+            }
+            case 'S':
+            case '\\stop': {
+                const { azimuth, elevation } = position();
+                moveTo(azimuth, elevation);
+                return 'RPRT 0\n';
+            }
+            case 'K':
+            case '\\park':
+                moveTo(0, 0);
+                return 'RPRT 0\n';
+            case '_':
+            case '\\get_info':
+                return 'Fake rotctld\n';
+            case 'q':
+                return null;
+            default:
+                return `RPRT ${RIG_ENIMPL}\n`;
+        }
+    };
+
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        socket.setEncoding('utf8');
+        socket.on('data', (data) => {
+            buffer += data;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 1);
+                if (line.trim() === '') continue;
+                const reply = answer(line);
+                if (reply === null) {
+                    socket.end();
+                    return;
+                }
+                socket.write(reply);
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(port, host, () => {
+            resolve({
+                host,
+                port: server.address().port,
+                commands,
+                position,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    startFakeRotctld({ ...options, log: message => console.log(message) })
+        .then(({ host, port }) => console.log(`fake rotctld listening on ${host}:${port}`))
+        .catch(error => {
+            console.error(`could not start the server: ${error.message}`);
+            process.exit(1);
+        });
+} else {
+    module.exports = { startFakeRotctld };
+}
@@ -0,0 +1,123 @@
+// fake-upload-server.js
+// A stand-in for the open-weather upload API that accepts uploads and remembers what it received
+// simulate.js starts one for every simulation; to test uploads by hand without sending anything to open-weather:
+//   node fake-upload-server.js --port 8090 [--host 127.0.0.1] [--fail 0.2]
+// and add { "type": "open-weather", "url": "http://127.0.0.1:8090/upload" } to uploadDestinations
+// --fail answers that share of the uploads with a 503, to exercise the outbox retries
+
+const http = require('http');
+const crypto = require('crypto');
+
+// parse `[--port 8090] [--host 127.0.0.1] [--fail 0]`
+function parseArgs(argv) {
+    const options = { port: 8090, host: '127.0.0.1', fail: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            options[arg.slice(2)] = arg.slice(2) === 'host' ? argv[++i] : Number(argv[++i]);
+        }
+    }
+    return options;
+}
+
+// Function to split a multipart/form-data body into its text fields and files (name and size only)
+function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+    const fields = {};
+    const files = [];
+    if (!match) {
+        return { fields, files };
+    }
+
+    // work on the buffer, a recording can be larger than the longest string node can make
+    const boundary = Buffer.from(`--${match[1] || match[2]}`);
+    let start = body.indexOf(boundary);
+    while (start !== -1) {
+        const next = body.indexOf(boundary, start + boundary.length);
+        if (next === -1) break;
+        const part = body.subarray(start + boundary.length + 2, next - 2); // skip the \r\n after the boundary and before the next one
+        start = next;
+
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) continue;
+        const headers = part.subarray(0, headerEnd).toString('utf8');
+        const content = part.subarray(headerEnd + 4);
+        const name = /name="([^"]*)"/.exec(headers);
+        const filename = /filename="([^"]*)"/.exec(headers);
+        if (!name) continue;
+        if (filename) {
+            files.push({ field: name[1], filename: filename[1], bytes: content.length });
+        } else {
+            fields[name[1]] = content.toString('utf8');
+        }
+    }
+    return { fields, files };
+}
+
+/**
+ * Starts a fake upload server.
+ * @param {object} [options] - { port (0 picks a free one), host, fail (share of uploads to reject, 0-1), log (function) }
+ * @returns {Promise<object>} - { url, uploads, close() } where uploads lists what was received, oldest first
+ */
+function startFakeUploadServer({ port = 0, host = '127.0.0.1', fail = 0, log = () => {} } = {}) {
+    const uploads = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const respond = (status, body) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(body));
+            };
+
+            if (req.method !== 'POST') {
+                respond(200, { success: true, uploads: uploads.length });
+                return;
+            }
+            if (Math.random() < fail) {
+                log(`rejected an upload from ${req.socket.remoteAddress} (simulated failure)`);
+                respond(503, { success: false, message: 'simulated failure' });
+                return;
+            }
+
+            // the auth_token field is not kept, only whether the upload carried one
+            const { fields: { auth_token, ...fields }, files } = parseMultipart(Buffer.concat(chunks), req.headers['content-type']);
+            const upload = {
+                id: crypto.randomUUID(),
+                receivedAt: new Date().toISOString(),
+                path: req.url,
+                authorized: Boolean(auth_token || req.headers.authorization),
+                fields,
+                files
+            };
+            uploads.push(upload);
+            log(`received ${files.map(file => `${file.filename} (${file.bytes} bytes)`).join(', ') || 'no files'} for ${fields.satellite ?? 'unknown satellite'} at ${fields.timestamp ?? '?'}`);
+            respond(200, { success: true, id: upload.id });
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(port, host, () => {
+            const address = server.address();
+            resolve({
+                url: `http://${host}:${address.port}/upload`,
+                uploads,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    startFakeUploadServer({ ...options, log: message => console.log(message) })
+        .then(({ url }) => console.log(`accepting uploads at ${url}${options.fail ? `, failing ${options.fail * 100}% of them` : ''}`))
+        .catch(error => {
+            console.error(`could not start the server: ${error.message}`);
+            process.exit(1);
+        });
+} else {
+    module.exports = { startFakeUploadServer, parseMultipart };
+}
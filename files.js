@@ -0,0 +1,17 @@
+// files.js
+// This module writes the files other programs read while the station runs: the sidecars, the upload queue
+// and the exported pass feeds
+
+const fs = require('fs');
+
+// Function to write a file through a temporary file next to it, renamed into place when complete,
+// so a reader (or a power cut) never sees it half written
+function writeFileAtomic(filePath, content) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+    writeFileAtomic
+};
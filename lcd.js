@@ -1,61 +1,276 @@
-const LCD = require('raspberrypi-liquid-crystal');
+/* lcd.js
+    This module shows status messages on the station's display.
+    config.display picks the driver:
+        auto          - the HD44780 panel if it can be initialised, otherwise the console (or nothing
+                        when the station runs without a terminal, e.g. from cron)
+        hd44780       - an HD44780 character LCD behind a PCF8574 I2C backpack, 16x2 by default
+        hd44780-20x4  - the same, 20x4
+        console       - prints the screens to the console
+        none          - shows nothing
+    The display is set up on first use, so this module can be loaded on a machine without one. If the
+    panel fails to initialise or stops answering, the module falls back like `auto` does.
 
-const lcd = new LCD(1, 0x27, 16, 2); // Adjust the parameters according to your LCD setup
-lcd.beginSync();
+    Messages go through a queue so they don't overwrite each other:
+        printLCD()     - a message, shown for at least displayMessageSeconds before the next one
+        showStatus()   - the screen shown when there are no messages, e.g. the next recording
+        startMarquee() - scrolling text shown instead of the status until stopMarquee() is called
+    On a 4-row display the status stays on the bottom two rows while messages and the marquee are shown.
+*/
 
-// Function to clear the LCD screen
-function clearLCD() {
-    lcd.clearSync();
+const clock = require('./clock');
+
+const DEFAULT_MESSAGE_SECONDS = 3;
+const MAX_QUEUED_MESSAGES = 8; // older messages are dropped, so the display doesn't lag behind the station
+
+// a driver has cols, rows, `animate` (false when a marquee should be shown as plain text) and show(lines)
+const DRIVERS = {
+    hd44780: (settings) => createHD44780(settings, 16, 2),
+    'hd44780-20x4': (settings) => createHD44780(settings, 20, 4),
+    console: (settings) => createConsoleDisplay(settings),
+    none: () => ({ name: 'none', cols: 16, rows: 2, animate: false, show: () => {} })
+};
+
+// Function to open an HD44780 panel on I2C, throws if it isn't there
+function createHD44780(settings, cols, rows) {
+    const LCD = require('raspberrypi-liquid-crystal');
+    cols = settings.displayCols ?? cols;
+    rows = settings.displayRows ?? rows;
+    const lcd = new LCD(settings.displayBus ?? 1, parseAddress(settings.displayAddress ?? 0x27), cols, rows);
+    lcd.beginSync();
+
+    return {
+        name: `hd44780 ${cols}x${rows}`,
+        cols,
+        rows,
+        animate: true,
+        show(lines) {
+            lcd.clearSync();
+            lines.slice(0, rows).forEach((line, row) => {
+                if (!line) return;
+                lcd.setCursorSync(0, row);
+                lcd.printSync(line.substring(0, cols));
+            });
+        }
+    };
 }
 
-// Function to print a message on the LCD screen
-function printLCD(line1, line2 = '') {
-    lcd.clearSync();
-    lcd.printSync(line1);
-    lcd.setCursorSync(0, 1);
-    lcd.printSync(line2);
+// Function to emulate the panel on the console; lines are not cut to the panel's width
+function createConsoleDisplay(settings) {
+    const cols = settings.displayCols ?? 16;
+    let lastScreen = null;
+
+    return {
+        name: 'console',
+        cols,
+        rows: settings.displayRows ?? 2,
+        animate: false,
+        show(lines) {
+            // the station repeats screens such as the next recording, only print changes
+            const screen = lines.filter(line => line).map(line => line.padEnd(cols)).join(' | ').trimEnd();
+            if (screen && screen !== lastScreen) {
+                console.log(`[LCD ${clock.now().toLocaleString('en-GB', { hour12: false })}] ${screen}`);
+            }
+            lastScreen = screen;
+        }
+    };
 }
 
-// Function to start the marquee effect
-function startMarquee(text, intervalTime = 500) {
-    const maxStart = text.length - 16; // Assuming 16 is the LCD display width
+// "0x27", "39" or 39
+function parseAddress(value) {
+    return typeof value === 'number' ? value : parseInt(value, String(value).startsWith('0x') ? 16 : 10);
+}
 
-    let currentPosition = 0;
+let settings = {};
+let driver = null;
 
-    const interval = setInterval(() => {
-        lcd.clearSync();
+const queue = [];          // messages waiting to be shown, as arrays of lines
+let message = null;        // the message on the display now
+let messageTimer = null;   // ends the current message after its minimum display time
+let status = null;         // lines shown when there are no messages
+let marquee = null;        // { text, position, timer } while a marquee runs
 
-        const displayText = text.substring(currentPosition, currentPosition + 16);
+// Function to pick the fallback when the configured driver can't be used
+function fallbackDriver() {
+    return DRIVERS[process.stdout.isTTY ? 'console' : 'none'](settings);
+}
 
-        lcd.printSync(displayText);
+// Function to create the configured driver, falling back if the hardware can't be initialised
+function getDriver() {
+    if (driver) {
+        return driver;
+    }
 
-        currentPosition++;
-        if (currentPosition > maxStart) {
-            currentPosition = 0;
+    const name = settings.display ?? 'auto';
+    try {
+        driver = DRIVERS[name === 'auto' ? 'hd44780' : name](settings);
+    } catch (error) {
+        driver = fallbackDriver();
+        if (name !== 'auto') {
+            console.error(`Display ${name} could not be initialised (${error.message.split('\n')[0]}), using ${driver.name} instead`);
         }
-    }, intervalTime);
+    }
+    return driver;
+}
 
-    // Return the interval object so it can be cleared later if needed
-    return interval;
+// Function to put lines on the display; a panel that stops answering is replaced by the fallback
+function render(lines) {
+    const display = getDriver();
+    try {
+        display.show(lines);
+    } catch (error) {
+        driver = fallbackDriver();
+        console.error(`Display ${display.name} failed (${error.message}), using ${driver.name} instead`);
+        driver.show(lines);
+    }
 }
 
-// Example usage of the marquee effect
-// Uncomment to test the marquee effect
-/*
-printLCD('Booting up...');
-const marqueeInterval = startMarquee('Hello, World! This is a marquee effect.', 500);
+// the marquee's current window of the text, or the whole text on drivers that don't animate
+function marqueeLines() {
+    const display = getDriver();
+    if (!display.animate) {
+        return [marquee.text];
+    }
+    return [marquee.text.substring(marquee.position, marquee.position + display.cols)];
+}
 
-// Stop the marquee after 10 seconds for demonstration purposes
-setTimeout(() => {
-    clearInterval(marqueeInterval);
-    clearLCD();
-    printLCD('Marquee stopped.');
-}, 10000);
-*/
+// Function to redraw the display: a message, else the marquee, else the status
+function refresh() {
+    const foreground = message ?? (marquee ? marqueeLines() : null);
+    const display = getDriver();
+
+    if (!foreground) {
+        render(status ?? []);
+    } else if (display.rows >= 4 && status) {
+        render([foreground[0], foreground[1] ?? '', ...status]);
+    } else {
+        render(foreground);
+    }
+}
+
+// Function to show the next queued message, or go back to the marquee or status when there is none
+function nextMessage() {
+    messageTimer = null;
+    message = queue.shift() ?? null;
+    refresh();
+    if (message) {
+        messageTimer = clock.setTimeout(nextMessage, (settings.displayMessageSeconds ?? DEFAULT_MESSAGE_SECONDS) * 1000);
+    }
+}
+
+// the settings that need the driver to be set up again when they change
+function hardwareSettings(config) {
+    return JSON.stringify([
+        config.display ?? 'auto',
+        config.displayBus ?? 1,
+        parseAddress(config.displayAddress ?? 0x27),
+        config.displayCols,
+        config.displayRows
+    ]);
+}
+
+/**
+ * Applies the display settings from the config. The driver is set up again when they changed.
+ * @param {object} config - { display, displayBus, displayAddress, displayCols, displayRows, displayMessageSeconds }
+ */
+function configureDisplay(config) {
+    const reinitialise = hardwareSettings(config) !== hardwareSettings(settings);
+    settings = {
+        display: config.display,
+        displayBus: config.displayBus,
+        displayAddress: config.displayAddress,
+        displayCols: config.displayCols,
+        displayRows: config.displayRows,
+        displayMessageSeconds: config.displayMessageSeconds
+    };
+    if (reinitialise && driver) {
+        driver = null;
+        refresh();
+    }
+}
+
+// Function to clear the LCD screen, dropping queued messages and the status
+function clearLCD() {
+    queue.length = 0;
+    if (messageTimer) {
+        clock.clearTimeout(messageTimer);
+        messageTimer = null;
+    }
+    message = null;
+    status = null;
+    refresh();
+}
+
+// Function to queue a message for the LCD screen
+function printLCD(line1, line2 = '') {
+    const lines = [line1, line2];
+    const last = queue.length > 0 ? queue[queue.length - 1] : message;
+    if (last && last[0] === line1 && last[1] === line2) {
+        return;
+    }
+
+    queue.push(lines);
+    if (queue.length > MAX_QUEUED_MESSAGES) {
+        queue.shift();
+    }
+    if (!messageTimer) {
+        nextMessage();
+    }
+}
+
+// Function to set the screen shown between messages, e.g. the next recording
+function showStatus(line1, line2 = '') {
+    status = [line1, line2];
+    if (!message) {
+        refresh();
+    }
+}
+
+/**
+ * Starts scrolling text, shown between messages until stopMarquee() is called.
+ * @param {string} text - The text to scroll
+ * @param {number} [intervalTime=500] - Milliseconds per step
+ * @returns {object} - The marquee, to pass to stopMarquee()
+ */
+function startMarquee(text, intervalTime = 500) {
+    stopMarquee(marquee);
+    marquee = { text, position: 0, timer: null };
+
+    if (getDriver().animate && text.length > getDriver().cols) {
+        const current = marquee;
+        current.timer = clock.setInterval(() => {
+            current.position = current.position >= text.length - getDriver().cols ? 0 : current.position + 1;
+            if (!message) {
+                refresh();
+            }
+        }, intervalTime);
+    }
+    if (!message) {
+        refresh();
+    }
+    return marquee;
+}
+
+// Function to stop a marquee started by startMarquee()
+function stopMarquee(handle) {
+    if (!handle || handle !== marquee) {
+        return;
+    }
+    if (marquee.timer) {
+        clock.clearInterval(marquee.timer);
+    }
+    marquee = null;
+    if (!message) {
+        refresh();
+    }
+}
 
 // Export the functions to be used in other modules
 module.exports = {
     clearLCD,
     printLCD,
-    startMarquee
+    showStatus,
+    startMarquee,
+    stopMarquee,
+    configureDisplay,
+    DRIVERS
 };
@@ -1,63 +1,265 @@
 // logger.js
-// This module logs messages to a file and the console
+// This module logs messages to a file and (unless logConsole is false) the console
+// The log file holds one JSON object per line: { time, level, component, msg, data }
+// It is rotated by size and age, and rotated files are kept for a configurable time
 
 const fs = require("fs");
 const path = require("path");
+const clock = require("./clock");
+
+const LEVELS = ["debug", "info", "notice", "warn", "error"];
+
+// rotated files are named <logFile>.<YYYYMMDD-HHmmss>, with -<n> added if that name is taken
+const ROTATED_SUFFIX = /^\.\d{8}-\d{6}(-\d+)?$/;
+
+// turn an extra argument into something JSON can hold without dumping sockets or circular objects
+function toLoggable(value, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined || typeof value !== "object") {
+    return typeof value === "function" ? `[Function ${value.name || "anonymous"}]` : value;
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+
+  // class instances such as http.ClientRequest are only named, plain objects and arrays are kept
+  const proto = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) {
+    return `[${value.constructor ? value.constructor.name : "Object"}]`;
+  }
+  if (depth >= 4) {
+    return Array.isArray(value) ? "[Array]" : "[Object]";
+  }
+
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map((item) => toLoggable(item, depth + 1, seen));
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = toLoggable(item, depth + 1, seen);
+  }
+  return result;
+}
+
+// local timestamp for the rotated file name
+function rotationStamp(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// time of the first entry in a log file, or null if it is empty or not a JSON-lines log
+function firstEntryTime(filePath) {
+  try {
+    const fd = fs.openSync(filePath, "r");
+    const buffer = Buffer.alloc(512);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    fs.closeSync(fd);
+    const firstLine = buffer.toString("utf8", 0, bytesRead).split("\n")[0];
+    const time = new Date(JSON.parse(firstLine).time);
+    return isNaN(time) ? null : time;
+  } catch (err) {
+    return null;
+  }
+}
+
+// rotated log files next to the current one, newest first
+function listRotatedLogs(logFilePath) {
+  const dir = path.dirname(logFilePath);
+  const base = path.basename(logFilePath);
+  let files = [];
+  try {
+    files = fs.readdirSync(dir);
+  } catch (err) {
+    return [];
+  }
+  return files
+    .filter((file) => file.startsWith(base) && ROTATED_SUFFIX.test(file.slice(base.length)))
+    .sort()
+    .reverse()
+    .map((file) => path.join(dir, file));
+}
+
+// parse one line of a log file; lines written before JSON logging are kept as plain messages
+function parseLine(line) {
+  try {
+    const entry = JSON.parse(line);
+    if (entry && typeof entry === "object" && entry.msg !== undefined) {
+      return entry;
+    }
+  } catch (err) {
+    // not JSON
+  }
+  return { msg: line };
+}
+
+/**
+ * Reads the most recent log entries, continuing into rotated files if the current one is short.
+ * @param {object} config - The station configuration (saveDir, logFile)
+ * @param {number} count - How many entries to return at most
+ * @param {string} [minLevel] - Only return entries of this level or above
+ * @returns {object[]} - Entries { time, level, component, msg, data }, oldest first
+ */
+function readLogEntries(config, count, minLevel) {
+  const logFilePath = path.join(config.saveDir, config.logFile);
+  const minIndex = minLevel ? LEVELS.indexOf(minLevel) : -1;
+  const entries = [];
+
+  for (const file of [logFilePath, ...listRotatedLogs(logFilePath)]) {
+    if (entries.length >= count || !fs.existsSync(file)) {
+      continue;
+    }
+    const lines = fs.readFileSync(file, "utf8").split("\n").filter((line) => line.trim() !== "");
+    const fileEntries = lines
+      .map(parseLine)
+      .filter((entry) => minIndex < 0 || LEVELS.indexOf(entry.level) >= minIndex);
+    entries.unshift(...fileEntries.slice(-(count - entries.length)));
+  }
+  return entries;
+}
 
 class Logger {
-  constructor(config) {
-    // console.log("config: " + config);
-    this.config = config;
-    this.logFilePath = path.join(config.saveDir, config.logFile);
+  constructor(config, component = null, shared = null) {
+    this.component = component;
 
-    // create the logfile if it does not exist
-    if (!fs.existsSync(this.logFilePath)) {
-      fs.writeFileSync(this.logFilePath, "Log file created\n");
+    // the file state is shared between a logger and its children
+    this.shared = shared || { config: null, logFilePath: null, size: 0, startedAt: null };
+    if (shared) {
+      return;
     }
 
-    this.info("\n========================================\n");
-    this.info(`Logger initialized to file: ${this.logFilePath}`);
+    this.configure(config);
+    this.info(`Logger initialized to file: ${this.shared.logFilePath}`);
     // print version number from package.json
     const packageJson = require("./package.json");
     this.info(`Version: ${packageJson.version}`);
+  }
+
+  // a logger that tags its entries with a component name, e.g. logger.child("recorder")
+  child(component) {
+    return new Logger(null, component, this.shared);
+  }
+
+  // point the logger at a new config, e.g. after the USB stick was swapped
+  reconfigure(config) {
+    this.configure(config);
+    this.info(`Logger now writing to file: ${this.shared.logFilePath}`);
+  }
+
+  configure(config) {
+    const shared = this.shared;
+    shared.config = config;
+    shared.logFilePath = path.join(config.saveDir, config.logFile);
+    shared.size = 0;
+    shared.startedAt = null;
+
+    if (fs.existsSync(shared.logFilePath)) {
+      shared.size = fs.statSync(shared.logFilePath).size;
+      shared.startedAt = firstEntryTime(shared.logFilePath);
+
+      // a log from before JSON logging is rotated away instead of being mixed with the new format
+      if (shared.size > 0 && !shared.startedAt) {
+        this.rotate();
+      }
+    }
+  }
+
+  // move the current file aside and drop rotated files beyond the retention limits
+  rotate() {
+    const shared = this.shared;
+    const config = shared.config;
+    try {
+      if (fs.existsSync(shared.logFilePath)) {
+        const stamp = rotationStamp(clock.now());
+        let rotatedPath = `${shared.logFilePath}.${stamp}`;
+        for (let n = 1; fs.existsSync(rotatedPath); n++) {
+          rotatedPath = `${shared.logFilePath}.${stamp}-${n}`;
+        }
+        fs.renameSync(shared.logFilePath, rotatedPath);
+      }
+      shared.size = 0;
+      shared.startedAt = null;
 
+      const maxFiles = config.logRetentionFiles ?? 30;
+      const maxAgeMs = (config.logRetentionDays ?? 30) * 24 * 60 * 60 * 1000;
+      listRotatedLogs(shared.logFilePath).forEach((file, index) => {
+        if (index >= maxFiles || clock.now().getTime() - fs.statSync(file).mtimeMs > maxAgeMs) {
+          fs.unlinkSync(file);
+        }
+      });
+    } catch (err) {
+      console.error("Error rotating log file:", err);
+    }
   }
 
-  log(message, level = "INFO") {
-    const options = {
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-      hour: "2-digit",
-      minute: "2-digit",
-      second: "2-digit",
-      timeZoneName: "short",
-    };
-    const timestamp = new Date().toLocaleString("en-US", options);
+  log(level, message, ...args) {
+    const shared = this.shared;
+    const config = shared.config;
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(config.logLevel ?? "info")) {
+      return;
+    }
+
+    const now = clock.now();
+    const entry = { time: now.toISOString(), level, component: this.component, msg: String(message) };
+    if (args.length > 0) {
+      entry.data = args.length === 1 ? toLoggable(args[0]) : args.map((arg) => toLoggable(arg));
+    }
+    const line = `${JSON.stringify(entry)}\n`;
 
-    const logMessage = `${timestamp} - ${level} - ${message}\n`;
+    if (config.logConsole ?? true) {
+      const tag = this.component ? `[${this.component}] ` : "";
+      const extra = entry.data !== undefined ? ` ${JSON.stringify(entry.data)}` : "";
+      console.log(`${now.toLocaleString("en-GB", { hour12: false })} ${level.toUpperCase()} ${tag}${message}${extra}`);
+    }
 
-    console.log(logMessage);
+    const maxBytes = (config.logMaxSizeKB ?? 1024) * 1024;
+    const maxAgeMs = (config.logMaxAgeHours ?? 24) * 60 * 60 * 1000;
+    if (shared.size > 0 && (shared.size + line.length > maxBytes || (shared.startedAt && now - shared.startedAt > maxAgeMs))) {
+      this.rotate();
+    }
 
-    // Append log message to the log file
-    fs.appendFile(this.logFilePath, logMessage, (err) => {
-      if (err) {
-        console.error("Error writing to log file:", err);
+    // Append log message to the log file; synchronous so entries stay in order across rotation
+    try {
+      fs.appendFileSync(shared.logFilePath, line);
+      shared.size += Buffer.byteLength(line);
+      if (!shared.startedAt) {
+        shared.startedAt = now;
       }
-    });
+    } catch (err) {
+      console.error("Error writing to log file:", err);
+    }
+  }
+
+  debug(message, ...args) {
+    this.log("debug", message, ...args);
+  }
+
+  info(message, ...args) {
+    this.log("info", message, ...args);
   }
 
-  info(message) {
-    this.log(message, "INFO");
+  notice(message, ...args) {
+    this.log("notice", message, ...args);
   }
 
-  error(message) {
-    this.log(message, "ERROR");
+  warn(message, ...args) {
+    this.log("warn", message, ...args);
   }
 
-  notice(message) {
-    this.log(message, "NOTICE");
+  error(message, ...args) {
+    this.log("error", message, ...args);
   }
 }
 
 module.exports = Logger;
+module.exports.LEVELS = LEVELS;
+module.exports.readLogEntries = readLogEntries;
@@ -0,0 +1,84 @@
+/* lrpt.js
+    This module decodes Meteor-M LRPT recordings. LRPT is QPSK rather than FM, so recorder.js keeps the
+    raw IQ baseband of the pass (unsigned 8-bit, .cu8) and this module hands it to SatDump afterwards:
+        satdump <pipeline> baseband <recording.cu8> <output dir> --samplerate <Hz> --baseband_format cu8
+    SatDump writes the decoded channels and composites as PNG files into the output directory,
+    which is named like the recording. The first composite is copied next to the recording
+    (<recording>.png), where the dashboard and the uploads look for the image.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseRate } = require('./schema');
+
+// Function to list the PNG files below a directory, composites (RGB) first
+function findImages(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+    const images = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const file = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            images.push(...findImages(file));
+        } else if (entry.name.toLowerCase().endsWith('.png')) {
+            images.push(file);
+        }
+    }
+    const isComposite = file => /rgb/i.test(path.basename(file));
+    return images.sort((a, b) => isComposite(b) - isComposite(a) || a.localeCompare(b));
+}
+
+/**
+ * Decodes an LRPT recording with SatDump.
+ * @param {string} iqFile - The recording, unsigned 8-bit IQ
+ * @param {object} satellite - The catalog entry (satellites.js), for the sample rate and SatDump pipeline
+ * @param {object} config - The station configuration (satdump_path)
+ * @param {object} logger - Your logger instance
+ * @param {AbortSignal} [signal] - Kills SatDump when aborted
+ * @returns {Promise<object|null>} - { imageFile, images, outputDir, decoder } or null if decoding failed or found no image
+ */
+function decodeLRPT(iqFile, satellite, config, logger, signal) {
+    const outputDir = path.join(path.dirname(iqFile), path.basename(iqFile, path.extname(iqFile)));
+    const args = [
+        satellite.pipeline,
+        'baseband',
+        iqFile,
+        outputDir,
+        '--samplerate', String(parseRate(satellite.sampleRate)),
+        '--baseband_format', 'cu8'
+    ];
+
+    logger.info(`Decoding LRPT from ${iqFile} with SatDump (${satellite.pipeline})`);
+    return new Promise((resolve) => {
+        const satdump = spawn(config.satdump_path ?? '/usr/bin/satdump', args, { signal });
+
+        satdump.stderr.on('data', (data) => {
+            logger.debug(`SatDump: ${data}`);
+        });
+        satdump.on('error', (error) => {
+            logger.error(`LRPT decoding failed: ${error.message}`);
+            resolve(null);
+        });
+        satdump.on('close', (code) => {
+            if (code !== 0) {
+                logger.error(`LRPT decoding failed: SatDump exited with code ${code}`);
+                resolve(null);
+                return;
+            }
+            const images = findImages(outputDir);
+            if (images.length === 0) {
+                logger.notice(`SatDump found no image in ${iqFile}`);
+                resolve(null);
+                return;
+            }
+            const imageFile = `${outputDir}.png`;
+            fs.copyFileSync(images[0], imageFile);
+            logger.info(`Decoded ${images.length} LRPT images to ${outputDir}, ${path.basename(images[0])} copied to ${imageFile}`);
+            resolve({ imageFile, images, outputDir, decoder: 'satdump' });
+        });
+    });
+}
+
+module.exports = { decodeLRPT, findImages };
@@ -0,0 +1,186 @@
+// metadata.js
+// This module writes a JSON sidecar next to every recording (<satellite>-<timestamp>.json)
+// It describes the station, the pass the recording came from, how it was captured and how its upload went
+
+const fs = require('fs');
+const path = require('path');
+const packageJson = require('./package.json');
+const { findSatellite } = require('./satellites');
+const { writeFileAtomic } = require('./files');
+
+// Function to get the sidecar path of a recording: the same name with a .json extension
+function sidecarPath(recordingFile) {
+    return path.join(path.dirname(recordingFile), `${path.basename(recordingFile, path.extname(recordingFile))}.json`);
+}
+
+// the parts of a passes.json entry that describe the pass geometry, or null for manual recordings
+function passGeometry(pass) {
+    if (!pass) {
+        return null;
+    }
+    return {
+        aos: pass.aos ?? null,
+        tca: pass.tca ?? null,
+        los: pass.los ?? null,
+        maxElevation: parseFloat(pass.maxElevation) || null,
+        avgElevation: parseFloat(pass.avgElevation) || null,
+        minDistance: parseFloat(pass.minDistance) || null,
+        avgDistance: parseFloat(pass.avgDistance) || null,
+        tleEpoch: pass.tleEpoch ?? null,
+        scheduledStart: `${pass.date} ${pass.time}`,
+        scheduledMinutes: pass.duration
+    };
+}
+
+/**
+ * Builds the sidecar for a recording.
+ * @param {object} config - The station configuration the recording was made with
+ * @param {object} recording - { satellite, frequency, pass, capture, image, quality, compression, upload }
+ * @returns {object} - The sidecar contents
+ */
+function buildMetadata(config, { satellite, frequency, pass, capture, image, quality, compression, upload }) {
+    return {
+        version: packageJson.version,
+        station: {
+            id: config.myID,
+            locLat: config.locLat,
+            locLon: config.locLon,
+            locAlt: config.locAlt ?? 0,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        },
+        satellite,
+        frequency,
+        pass: passGeometry(pass),
+        capture,
+        image: image
+            ? {
+                file: path.basename(image.imageFile),
+                lines: image.lines,
+                syncA: image.syncA,
+                syncB: image.syncB,
+                syncRatio: image.syncRatio,
+                // an LRPT decode has several images, relative to the recordings directory
+                ...(image.images && { decoder: image.decoder, images: image.images.map(file => path.relative(path.dirname(image.imageFile), file)) })
+            }
+            : null,
+        quality: quality ?? null,
+        // the FLAC(s) and archive of the recording, see compress.js
+        compression: compression ?? null,
+        upload: upload ?? null
+    };
+}
+
+// Function to write the sidecar of a recording, returns its path
+function writeSidecar(recordingFile, metadata) {
+    const filePath = sidecarPath(recordingFile);
+    writeFileAtomic(filePath, JSON.stringify(metadata, null, 2));
+    return filePath;
+}
+
+// Function to read the sidecar of a recording, returns null if there is none
+function readSidecar(recordingFile) {
+    try {
+        return JSON.parse(fs.readFileSync(sidecarPath(recordingFile), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function to merge fields into an existing sidecar, returns false if the recording has no sidecar
+function updateSidecar(recordingFile, fields) {
+    const metadata = readSidecar(recordingFile);
+    if (!metadata) {
+        return false;
+    }
+    writeSidecar(recordingFile, { ...metadata, ...fields });
+    return true;
+}
+
+// Function to get the paths of a recording's FLAC and archive from the compression field of its sidecar
+function compressedFiles(recordingFile, compression) {
+    const directory = path.dirname(recordingFile);
+    return {
+        flacFile: compression && compression.flac ? path.join(directory, compression.flac.file) : null,
+        archiveFile: compression && compression.archive ? path.join(directory, compression.archive.file) : null
+    };
+}
+
+// Function to get the satellite and recording time from a recording's file name,
+// e.g. "NOAA 19-2026-10-20T16-32-39.000+00-00.wav" -> { satellite: 'NOAA 19', timestamp: '2026-10-20T16:32:39.000+00:00' }
+function parseRecordingName(recordingFile) {
+    const base = path.basename(recordingFile, path.extname(recordingFile));
+    const match = /^(.+)-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2}\.\d{3})([+-]\d{2})-(\d{2})$/.exec(base);
+    if (!match) {
+        return null;
+    }
+    const [, satellite, date, hours, minutes, seconds, offsetHours, offsetMinutes] = match;
+    return { satellite, timestamp: `${date}T${hours}:${minutes}:${seconds}${offsetHours}:${offsetMinutes}` };
+}
+
+/**
+ * Rebuilds the upload fields of a recording from its file name and sidecar, to upload it again.
+ * The fields are the ones recorder.js sends after a pass; the station fields come from the sidecar
+ * when there is one, so a recording is uploaded with the location it was made at.
+ * @param {object} config - The station configuration
+ * @param {string} recordingFile - The recording (.wav, or .cu8 for LRPT)
+ * @returns {object} - { jsonData, options } for enqueueUpload()
+ */
+function buildUploadData(config, recordingFile) {
+    const metadata = readSidecar(recordingFile) ?? {};
+    const name = parseRecordingName(recordingFile);
+    const satellite = metadata.satellite ?? (name ? name.satellite : path.basename(recordingFile, path.extname(recordingFile)));
+    const entry = findSatellite(config, satellite, metadata.frequency);
+    const station = metadata.station ?? {};
+    const capture = metadata.capture ?? {};
+    const pass = metadata.pass;
+    const image = metadata.image;
+    const quality = metadata.quality;
+
+    const jsonData = {
+        myID: station.id ?? config.myID,
+        satellite,
+        frequency: metadata.frequency ?? entry.frequency,
+        profile: capture.profile ?? entry.profile,
+        ...(entry.norad && { norad: entry.norad }),
+        locLat: station.locLat ?? config.locLat,
+        locLon: station.locLon ?? config.locLon,
+        locAlt: station.locAlt ?? config.locAlt ?? 0,
+        gain: capture.gain ?? config.gain ?? '40',
+        sampleRate: capture.sampleRate ?? entry.sampleRate,
+        timestamp: name ? name.timestamp : fs.statSync(recordingFile).mtime.toISOString(),
+        timezone: station.timezone ?? Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...(capture.durationMinutes && { durationMinutes: capture.durationMinutes }),
+        ...(capture.backend && { sdrBackend: capture.backend, sdrExitCode: capture.sdrExitCode }),
+        version: packageJson.version,
+        ...(pass && {
+            aos: pass.aos,
+            tca: pass.tca,
+            los: pass.los,
+            maxElevation: pass.maxElevation,
+            avgElevation: pass.avgElevation,
+            tleEpoch: pass.tleEpoch
+        }),
+        ...(image && image.syncRatio !== undefined && { imageSyncRatio: image.syncRatio }),
+        ...(quality && {
+            qualityScore: quality.score,
+            qualityVerdict: quality.verdict,
+            snrDb: quality.snrDb,
+            carrierDb: quality.carrierDb
+        })
+    };
+
+    // only attach the decoded image when config.uploadImage is enabled, like after a pass
+    const imageFile = image && config.uploadImage ? path.join(path.dirname(recordingFile), image.file) : null;
+    return { jsonData, options: { imageFile, ...compressedFiles(recordingFile, metadata.compression) } };
+}
+
+module.exports = {
+    sidecarPath,
+    buildMetadata,
+    writeSidecar,
+    readSidecar,
+    updateSidecar,
+    compressedFiles,
+    parseRecordingName,
+    buildUploadData
+};
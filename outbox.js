@@ -0,0 +1,335 @@
+// outbox.js
+// This module keeps a durable queue of uploads in saveDir/outbox.json
+// A background worker drains it with exponential backoff, so recordings made while
+// the network is down are uploaded once it comes back, even across reboots
+// Every item fans out to the configured destinations, and each destination's progress is tracked separately
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDestinations, uploadToDestination } = require('./destinations');
+const { printLCD } = require('./lcd');
+const { updateSidecar, buildUploadData } = require('./metadata');
+const { writeFileAtomic } = require('./files');
+const clock = require('./clock');
+
+const KEEP_DONE_ITEMS = 50;
+
+let worker = null;
+let uploading = false;
+
+function outboxPath(config) {
+    return path.join(config.saveDir, config.outboxFile ?? 'outbox.json');
+}
+
+// Function to read all outbox items
+function readOutbox(config) {
+    const filePath = outboxPath(config);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        // keep the unreadable file around for inspection and start with an empty queue
+        fs.copyFileSync(filePath, `${filePath}.corrupt`);
+        return [];
+    }
+}
+
+// Function to save all outbox items
+function writeOutbox(config, items) {
+    writeFileAtomic(outboxPath(config), JSON.stringify(items, null, 2));
+}
+
+// apply a change to a single item and save the queue
+function updateItem(config, id, fields) {
+    const items = readOutbox(config);
+    const item = items.find(i => i.id === id);
+    if (!item) {
+        return null;
+    }
+    Object.assign(item, fields, { updatedAt: clock.now().toISOString() });
+    writeOutbox(config, items);
+    return item;
+}
+
+/**
+ * Adds a recording to the upload queue and wakes up the worker.
+ * @param {object} config - The station configuration
+ * @param {string} filePath - Path to the file to upload
+ * @param {object} jsonData - Metadata sent with the upload (auth_token is added at upload time, not stored)
+ * @param {object} [options] - Upload options, e.g. { imageFile }
+ * @param {object} logger - Your logger instance
+ * @returns {object} - The queued item
+ */
+function enqueueUpload(config, filePath, jsonData, options, logger) {
+    const { auth_token, ...metadata } = jsonData;
+    const now = clock.now().toISOString();
+
+    // credentials stay in the config, the queue only remembers which destinations to send to
+    const destinations = {};
+    getDestinations(config).forEach(destination => {
+        destinations[destination.name] = { state: 'pending', attempts: 0, lastError: null };
+    });
+
+    const item = {
+        id: crypto.randomUUID(),
+        file: filePath,
+        jsonData: metadata,
+        options: options || {},
+        destinations,
+        state: 'pending',
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: now,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const items = readOutbox(config);
+    items.push(item);
+    writeOutbox(config, items);
+    logger.info(`Queued upload ${item.id} for ${filePath}`);
+
+    if (worker) {
+        worker.kick();
+    }
+    return item;
+}
+
+/**
+ * Queues an existing recording for upload again, with the metadata from its sidecar.
+ * @param {object} config - The station configuration
+ * @param {string} recordingFile - The recording to upload
+ * @param {object} logger - Your logger instance
+ * @returns {object} - The queued item
+ */
+function enqueueRecording(config, recordingFile, logger) {
+    const { jsonData, options } = buildUploadData(config, recordingFile);
+    const item = enqueueUpload(config, recordingFile, jsonData, options, logger);
+    updateSidecar(recordingFile, { upload: { id: item.id, state: item.state, attempts: 0, destinations: item.destinations } });
+    return item;
+}
+
+// Function to list the outbox, optionally only items in a given state
+function listOutbox(config, state) {
+    const items = readOutbox(config);
+    return state ? items.filter(item => item.state === state) : items;
+}
+
+// Function to put failed items (or one item by id) back in the queue, returns how many were requeued
+function requeueUploads(config, id) {
+    const items = readOutbox(config);
+    const now = clock.now().toISOString();
+    let count = 0;
+
+    items.forEach(item => {
+        const matches = id ? item.id === id : item.state === 'failed';
+        if (matches && item.state !== 'uploading') {
+            Object.assign(item, { state: 'pending', attempts: 0, nextAttemptAt: now, updatedAt: now });
+            Object.values(item.destinations ?? {}).forEach(destination => {
+                if (destination.state === 'failed') {
+                    Object.assign(destination, { state: 'pending', attempts: 0 });
+                }
+            });
+            count++;
+        }
+    });
+
+    writeOutbox(config, items);
+    if (count > 0 && worker) {
+        worker.kick();
+    }
+    return count;
+}
+
+// check whether the worker is uploading right now
+function isUploading() {
+    return uploading;
+}
+
+// delay before the next attempt: base * 2^(attempts-1), capped
+function backoffMs(config, attempts) {
+    const baseSeconds = config.uploadRetryBaseSeconds ?? 60;
+    const maxSeconds = config.uploadRetryMaxSeconds ?? 6 * 60 * 60;
+    return Math.min(baseSeconds * 2 ** (attempts - 1), maxSeconds) * 1000;
+}
+
+// drop old finished items so the queue file stays small
+function pruneDone(config) {
+    const items = readOutbox(config);
+    const done = items.filter(item => item.state === 'done');
+    if (done.length <= KEEP_DONE_ITEMS) {
+        return;
+    }
+    const drop = new Set(done.slice(0, done.length - KEEP_DONE_ITEMS).map(item => item.id));
+    writeOutbox(config, items.filter(item => !drop.has(item.id)));
+}
+
+// Function to upload a single queued item to every destination still pending and record the outcome
+async function processItem(config, item, logger) {
+    const maxAttempts = config.uploadMaxAttempts ?? 10;
+    const attempts = item.attempts + 1;
+    const configured = new Map(getDestinations(config).map(destination => [destination.name, destination]));
+
+    // items queued before destinations existed only went to open-weather
+    const destinations = item.destinations ?? { 'open-weather': { state: 'pending', attempts: item.attempts, lastError: null } };
+
+    updateItem(config, item.id, { state: 'uploading', attempts, destinations });
+    logger.info(`Upload attempt #${attempts} of ${maxAttempts} for ${item.file}`);
+    printLCD('uploading...');
+
+    for (const [name, progress] of Object.entries(destinations)) {
+        if (progress.state !== 'pending') {
+            continue;
+        }
+
+        const destination = configured.get(name);
+        let response;
+        if (!destination) {
+            response = { success: false, message: `Destination ${name} is no longer configured` };
+        } else if (!fs.existsSync(item.file)) {
+            response = { success: false, message: `File not found: ${item.file}` };
+        } else {
+            response = await uploadToDestination(destination, item.file, item.jsonData, item.options, config, logger);
+        }
+
+        progress.attempts += 1;
+        if (response && response.success !== false) {
+            Object.assign(progress, { state: 'done', lastError: null, response });
+            logger.info(`Upload ${item.id} to ${name} successful`);
+        } else {
+            progress.lastError = response ? response.message : 'Unknown error';
+            const permanent = progress.attempts >= maxAttempts || !destination || !fs.existsSync(item.file);
+            progress.state = permanent ? 'failed' : 'pending';
+            logger.error(`Upload ${item.id} to ${name} failed${permanent ? ' permanently' : ''}: ${progress.lastError}`);
+        }
+    }
+
+    const states = Object.values(destinations).map(progress => progress.state);
+    const errors = Object.entries(destinations)
+        .filter(([, progress]) => progress.lastError)
+        .map(([name, progress]) => `${name}: ${progress.lastError}`);
+    const lastError = errors.length > 0 ? errors.join('; ') : null;
+
+    let updated;
+    if (states.every(state => state === 'done')) {
+        updated = updateItem(config, item.id, { state: 'done', lastError, destinations });
+        logger.info(`Upload ${item.id} completed for all destinations`);
+        printLCD('upload completed!');
+    } else if (!states.includes('pending')) {
+        updated = updateItem(config, item.id, { state: 'failed', lastError, destinations });
+        logger.error(`Upload ${item.id} failed permanently for some destinations: ${lastError}`);
+        printLCD('upload failed', 'check log');
+    } else {
+        const nextAttemptAt = new Date(clock.now().getTime() + backoffMs(config, attempts)).toISOString();
+        updated = updateItem(config, item.id, { state: 'pending', lastError, nextAttemptAt, destinations });
+        logger.error(`Upload ${item.id} incomplete (${lastError}), next attempt at ${nextAttemptAt}`);
+    }
+
+    // keep the upload outcome with the recording's metadata sidecar
+    if (updated) {
+        try {
+            updateSidecar(item.file, {
+                upload: {
+                    id: updated.id,
+                    state: updated.state,
+                    attempts: updated.attempts,
+                    lastError: updated.lastError,
+                    destinations: Object.fromEntries(Object.entries(destinations)
+                        .map(([name, progress]) => [name, { state: progress.state, attempts: progress.attempts, lastError: progress.lastError }])),
+                    updatedAt: updated.updatedAt
+                }
+            });
+        } catch (error) {
+            logger.error(`Could not update the metadata of ${item.file}: ${error.message}`);
+        }
+    }
+}
+
+// Function to make one upload attempt for an item right away, for the ow command when the scheduler isn't running
+// Returns the item as it is afterwards, or null if there is no such item
+async function uploadNow(config, id, logger) {
+    const item = readOutbox(config).find(i => i.id === id);
+    if (!item) {
+        return null;
+    }
+    uploading = true;
+    try {
+        await processItem(config, item, logger);
+    } finally {
+        uploading = false;
+    }
+    return readOutbox(config).find(i => i.id === id) ?? null;
+}
+
+/**
+ * Starts the background worker that drains the outbox.
+ * @param {function} getConfig - Returns the current configuration
+ * @param {object} logger - Your logger instance
+ * @returns {object} - { kick(), stop() }
+ */
+function startOutboxWorker(getConfig, logger) {
+    // anything left 'uploading' was interrupted by a restart, so try it again
+    const config = getConfig();
+    const items = readOutbox(config);
+    const interrupted = items.filter(item => item.state === 'uploading');
+    if (interrupted.length > 0) {
+        interrupted.forEach(item => { item.state = 'pending'; });
+        writeOutbox(config, items);
+        logger.info(`Resuming ${interrupted.length} interrupted upload(s)`);
+    }
+
+    const pending = items.filter(item => item.state === 'pending').length;
+    logger.info(`Upload outbox started with ${pending} pending item(s)`);
+
+    let running = false;
+
+    // upload every item that is due, one at a time
+    async function drain() {
+        if (running) return;
+        running = true;
+        try {
+            let due;
+            do {
+                const currentConfig = getConfig();
+                const now = clock.now();
+                due = readOutbox(currentConfig).find(item => item.state === 'pending' && new Date(item.nextAttemptAt) <= now);
+                if (due) {
+                    uploading = true;
+                    await processItem(currentConfig, due, logger);
+                }
+            } while (due);
+            pruneDone(getConfig());
+        } catch (error) {
+            logger.error(`Upload outbox error: ${error.message}`);
+        } finally {
+            uploading = false;
+            running = false;
+        }
+    }
+
+    const interval = clock.setInterval(drain, (config.outboxIntervalSeconds ?? 60) * 1000);
+
+    worker = {
+        kick: () => { drain(); },
+        stop: () => {
+            clock.clearInterval(interval);
+            worker = null;
+        }
+    };
+
+    drain();
+    return worker;
+}
+
+module.exports = {
+    enqueueUpload,
+    enqueueRecording,
+    uploadNow,
+    listOutbox,
+    requeueUploads,
+    isUploading,
+    startOutboxWorker
+};
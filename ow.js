@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+// ow.js
+// The `ow` command, for technicians operating the station from a shell, e.g. over SSH:
+//   ow passes [--all] [--json]                       the predicted passes and which are selected for recording
+//   ow record-now <satellite|frequency> <minutes>    record right away, processed and uploaded like a pass
+//   ow upload <file>                                 upload a recording (again) with the metadata from its sidecar
+//   ow config check [file]                           validate ow-config.json, or another config file
+//   ow status [--json]                               what the station is doing, disk usage and the last recordings
+//   ow cleanup [--dry-run]                           apply the retention policy to the recordings now
+// When the scheduler is running, record-now and upload go through its API (see api.js), so it stays
+// the only process using the SDR and the upload queue; they need apiToken to be set in the config.
+// Otherwise they run in this process, the same way the scheduler would.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Logger = require('./logger');
+const clock = require('./clock');
+const packageJson = require('./package.json');
+const { loadValidatedConfig, getConfigPath } = require('./config');
+const { validateConfig } = require('./schema');
+const { getCatalog } = require('./satellites');
+const { readPassesFile, passKey, passStartTime, passEndTime, selectPasses } = require('./passes');
+const { describePass } = require('./export');
+const { listOutbox, enqueueRecording, uploadNow } = require('./outbox');
+const { getDiskUsage, applyRetention } = require('./disk');
+
+const USAGE = `open-weather ground station ${packageJson.version}
+
+Usage:
+  ow passes [--all] [--json]                      list the predicted passes (--all includes past ones)
+  ow record-now <satellite|frequency> <minutes>   record now, e.g. ow record-now "NOAA 19" 15 or ow record-now 137.1M 15
+  ow upload <file>                                upload a recording from the recordings directory
+  ow config check [file]                          validate the station's config, or the given file
+  ow status [--json]                              station state, next pass, disk usage and the last recordings
+  ow cleanup [--dry-run]                          delete recordings by the retention policy (--dry-run only lists them)`;
+
+const RECENT_RECORDINGS = 5;
+const UPLOAD_WAIT_SECONDS = 300; // how long `ow upload` follows an upload made by the running scheduler
+
+// print an error and stop
+function fail(message) {
+    console.error(`ow: ${message}`);
+    process.exit(1);
+}
+
+// Function to load the station's config without the progress messages, stops if there is no usable one
+function loadStationConfig() {
+    const result = loadValidatedConfig(() => {});
+    if (!result) {
+        fail('no ow-config.json found under /media or /mnt');
+    }
+    if (result.fatal) {
+        fail(`the config is invalid, run \`ow config check\` for details`);
+    }
+    return result.config;
+}
+
+/**
+ * Calls the API of the scheduler running on this machine.
+ * @param {object} config - The station configuration (apiPort, apiHost, apiToken)
+ * @param {string} method - GET or POST
+ * @param {string} apiPath - e.g. /api/status
+ * @param {object} [body] - The JSON body of a POST
+ * @returns {Promise<object|null>} - { status, data }, or null if the scheduler isn't running or its API is off
+ */
+async function callStation(config, method, apiPath, body) {
+    const port = config.apiPort ?? 8080;
+    if (!port) {
+        return null;
+    }
+    // an API listening on all interfaces is reached on localhost
+    const host = !config.apiHost || ['0.0.0.0', '::'].includes(config.apiHost) ? '127.0.0.1' : config.apiHost;
+
+    try {
+        const response = await axios({
+            method,
+            url: `http://${host}:${port}${apiPath}`,
+            data: body,
+            headers: config.apiToken ? { Authorization: `Bearer ${config.apiToken}` } : {},
+            timeout: 3000,
+            validateStatus: () => true
+        });
+        return { status: response.status, data: response.data };
+    } catch (error) {
+        return null;
+    }
+}
+
+// "20 Oct 2026 16:32" in the station's local time
+function formatTime(value) {
+    return new Date(value).toLocaleString('en-GB', {
+        day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false
+    }).replace(',', '');
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// "2h 13m"
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+// Function to get the passes file and the keys of the passes selected for recording,
+// from the running scheduler's plan or else as the scheduler would select them
+async function loadPlan(config) {
+    const passes = readPassesFile(path.resolve(config.saveDir, config.passesFile), { error: () => {} });
+    const plan = await callStation(config, 'GET', '/api/passes');
+    if (plan && plan.status === 200) {
+        return { passes, planKeys: new Set(plan.data.map(pass => pass.key)), running: true };
+    }
+    return { passes, planKeys: selectPasses(passes, config, clock.now()), running: false };
+}
+
+// ow passes [--all] [--json]
+async function passesCommand(args) {
+    const config = loadStationConfig();
+    const { passes, planKeys, running } = await loadPlan(config);
+    const now = clock.now();
+
+    const rows = passes
+        .filter(pass => args.includes('--all') || passEndTime(pass) > now)
+        .sort((a, b) => passStartTime(a) - passStartTime(b))
+        .map(pass => ({ key: passKey(pass), ...describePass(pass, planKeys) }));
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(rows, null, 2));
+        return;
+    }
+    if (rows.length === 0) {
+        console.log(`No ${args.includes('--all') ? '' : 'upcoming '}passes in ${config.passesFile}, the scheduler predicts them when it starts`);
+        return;
+    }
+
+    console.log(running
+        ? 'Selected passes from the running scheduler:'
+        : 'The scheduler isn\'t running, selected passes are the ones it would pick now:');
+    const nameWidth = Math.max(9, ...rows.map(row => row.satellite.length));
+    console.log(`  ${'AOS'.padEnd(17)}  ${'Satellite'.padEnd(nameWidth)}  ${'Frequency'.padEnd(10)}  Max el  Minutes  Status`);
+    rows.forEach(row => {
+        const status = row.skipReason ? `${row.status}: ${row.skipReason}` : row.status;
+        console.log(`  ${formatTime(row.aos)}  ${row.satellite.padEnd(nameWidth)}  ${String(row.frequency).padEnd(10)}  ${`${Number(row.maxElevation).toFixed(1)}°`.padStart(6)}  ${String(row.durationMinutes).padStart(7)}  ${status}`);
+    });
+}
+
+// Function to print how an upload went, per destination, and set the exit code
+function reportUpload(item) {
+    if (!item) {
+        fail('the upload disappeared from the queue');
+    }
+    console.log(`Upload ${item.id}: ${item.state}${item.state === 'pending' ? `, next attempt at ${formatTime(item.nextAttemptAt)}` : ''}`);
+    Object.entries(item.destinations ?? {}).forEach(([name, progress]) => {
+        console.log(`  ${name}: ${progress.state}${progress.lastError ? ` (${progress.lastError})` : ''}`);
+    });
+    if (item.state !== 'done') {
+        process.exitCode = 1;
+    }
+}
+
+// ow record-now <satellite|frequency> <minutes>
+async function recordNowCommand(args) {
+    const [target, minutesArg] = args;
+    const minutes = Number(minutesArg);
+    if (!target || !(minutes > 0)) {
+        fail('usage: ow record-now <satellite|frequency> <minutes>');
+    }
+    const config = loadStationConfig();
+
+    // a frequency like 137.1M, or a satellite from the catalog ("noaa19" finds "NOAA 19")
+    const request = { minutes };
+    if (/^\d+(\.\d+)?[kMG]?$/.test(target)) {
+        request.frequency = target;
+    } else {
+        const simplify = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const entry = getCatalog(config).find(candidate => simplify(candidate.name) === simplify(target));
+        if (!entry) {
+            fail(`unknown satellite ${target}, the catalog has ${getCatalog(config).map(candidate => candidate.name).join(', ')}`);
+        }
+        request.satellite = entry.name;
+    }
+    const name = request.satellite ?? `manual-${request.frequency}`;
+
+    const response = await callStation(config, 'POST', '/api/record', request);
+    if (response) {
+        if (response.status !== 200) {
+            fail(`the running scheduler refused: ${response.data.message}`);
+        }
+        console.log(`The running scheduler is recording ${name} for ${minutes} minutes, follow it with \`ow status\``);
+        return;
+    }
+
+    // no scheduler: record in this process, through the same recorder and upload queue
+    const { configureDisplay } = require('./lcd');
+    const { startRecording, waitForRecording } = require('./recorder');
+    configureDisplay(config);
+    const logger = new Logger(config, 'ow');
+    const frequency = request.frequency ?? getCatalog(config).find(entry => entry.name === request.satellite).frequency;
+
+    logger.info(`Manual recording of ${name} for ${minutes} minutes`);
+    if (!startRecording(frequency, clock.now(), name, minutes, config, logger.child('recorder'))) {
+        fail('could not start the recording, see the log');
+    }
+    // resolves once the recording is processed and queued for upload, SoX and compression can outlast the capture
+    const recording = await waitForRecording();
+    if (!recording) {
+        fail('the recording failed, see the log');
+    }
+    console.log(`Recorded ${recording.wavFile ?? recording.iqFile}${recording.quality ? `, quality ${recording.quality.verdict} (${recording.quality.score})` : ''}`);
+    if (recording.uploadId) {
+        reportUpload(await uploadNow(config, recording.uploadId, logger.child('upload')));
+    }
+}
+
+// ow upload <file>
+async function uploadCommand(args) {
+    if (!args[0]) {
+        fail('usage: ow upload <file>');
+    }
+    const config = loadStationConfig();
+    const recordingsDir = path.resolve(config.saveDir, 'recordings');
+    const file = [path.resolve(args[0]), path.join(recordingsDir, args[0])].find(candidate => fs.existsSync(candidate));
+    if (!file) {
+        fail(`${args[0]} not found, here or in ${recordingsDir}`);
+    }
+
+    const running = await callStation(config, 'GET', '/api/status');
+    if (!running) {
+        const logger = new Logger(config, 'ow');
+        const item = enqueueRecording(config, file, logger.child('upload'));
+        reportUpload(await uploadNow(config, item.id, logger.child('upload')));
+        return;
+    }
+
+    // the running scheduler owns the upload queue, hand the upload to it and follow it
+    if (path.dirname(file) !== recordingsDir) {
+        fail(`the running scheduler only uploads files from ${recordingsDir}`);
+    }
+    const response = await callStation(config, 'POST', '/api/upload', { file: path.basename(file) });
+    if (!response || response.status !== 200) {
+        fail(`the running scheduler refused: ${response ? response.data.message : 'no answer'}`);
+    }
+    console.log(`Queued ${path.basename(file)} on the running scheduler, waiting for the upload...`);
+
+    const deadline = Date.now() + UPLOAD_WAIT_SECONDS * 1000;
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        const outbox = await callStation(config, 'GET', '/api/outbox');
+        const item = outbox && outbox.status === 200 ? outbox.data.find(entry => entry.id === response.data.id) : null;
+        if (item && item.state !== 'uploading' && (item.state !== 'pending' || item.attempts > 0)) {
+            reportUpload(item);
+            return;
+        }
+    }
+    console.log(`Still uploading, check \`ow status\` later (upload ${response.data.id})`);
+}
+
+// ow config check [file]
+async function configCommand(args) {
+    if (args[0] !== 'check') {
+        fail('usage: ow config check [file]');
+    }
+
+    let configPath = args[1];
+    let result;
+    if (configPath) {
+        try {
+            result = validateConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+        } catch (error) {
+            fail(`could not read ${configPath}: ${error.message}`);
+        }
+    } else {
+        result = loadValidatedConfig(() => {});
+        configPath = getConfigPath();
+        if (!result) {
+            fail('no readable ow-config.json found under /media or /mnt');
+        }
+    }
+
+    console.log(`Checked ${configPath}`);
+    result.errors.forEach(({ key, message }) => console.log(`  ${key}: ${message}`));
+    if (result.fatal) {
+        console.log('The station can\'t start with this config');
+    } else if (result.errors.length > 0) {
+        console.log(`${result.errors.length} problem(s), the station uses the defaults for these settings`);
+    } else {
+        console.log('No problems found');
+    }
+    if (result.errors.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+// Function to read the sidecars of the newest recordings, newest first
+function readRecentSidecars(config, count) {
+    const dir = path.join(config.saveDir, 'recordings');
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            try {
+                return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(metadata => metadata && metadata.capture)
+        .sort((a, b) => (b.capture.startedAt ?? '').localeCompare(a.capture.startedAt ?? ''))
+        .slice(0, count);
+}
+
+// ow status [--json]
+async function statusCommand(args) {
+    const config = loadStationConfig();
+    const station = await callStation(config, 'GET', '/api/status');
+    const running = station && station.status === 200 ? station.data : null;
+
+    // the next pass from the running plan, or the one the scheduler would record next
+    let nextPass = running ? running.nextPass : null;
+    if (!running) {
+        const { passes, planKeys } = await loadPlan(config);
+        nextPass = passes
+            .filter(pass => planKeys.has(passKey(pass)) && passStartTime(pass) > clock.now())
+            .sort((a, b) => passStartTime(a) - passStartTime(b))[0] ?? null;
+    }
+
+    let disk = null;
+    try {
+        disk = await getDiskUsage(config.saveDir);
+    } catch (error) {
+        // shown as unknown
+    }
+
+    const outbox = {};
+    listOutbox(config).forEach(item => { outbox[item.state] = (outbox[item.state] ?? 0) + 1; });
+    const recordings = readRecentSidecars(config, RECENT_RECORDINGS).map(metadata => ({
+        satellite: metadata.satellite,
+        startedAt: metadata.capture.startedAt,
+        status: metadata.capture.status,
+        file: metadata.capture.file,
+        quality: metadata.quality ? { verdict: metadata.quality.verdict, score: metadata.quality.score } : null,
+        upload: metadata.upload ? metadata.upload.state : null
+    }));
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify({ station: config.myID, version: packageJson.version, scheduler: running, nextPass, disk, outbox, recordings }, null, 2));
+        return;
+    }
+
+    console.log(`Station ${config.myID}, version ${packageJson.version}`);
+    if (!running) {
+        console.log('Scheduler:  not running');
+    } else {
+        const current = running.current ? ` ${running.current.satellite} (${running.current.durationMinutes} minutes from ${formatTime(running.current.startedAt)})` : '';
+        console.log(`Scheduler:  ${running.state}${current}, up ${formatDuration(running.uptimeSeconds)}${running.version !== packageJson.version ? `, version ${running.version}` : ''}`);
+    }
+    console.log(`Next pass:  ${nextPass ? `${nextPass.satellite} at ${formatTime(nextPass.aos ?? passStartTime(nextPass))}, max ${parseFloat(nextPass.maxElevation).toFixed(1)}°` : 'none planned'}`);
+    console.log(`Disk:       ${disk ? `${formatBytes(disk.free)} free of ${formatBytes(disk.size)} (${disk.percentFree}%)` : 'unknown'} in ${config.saveDir}`);
+    console.log(`Uploads:    ${Object.keys(outbox).length > 0 ? Object.entries(outbox).map(([state, count]) => `${count} ${state}`).join(', ') : 'none queued'}`);
+    console.log('Last recordings:');
+    if (recordings.length === 0) {
+        console.log('  none');
+    }
+    recordings.forEach(recording => {
+        const quality = recording.quality ? `${recording.quality.verdict} (${recording.quality.score})` : recording.status;
+        console.log(`  ${formatTime(recording.startedAt)}  ${recording.satellite}  ${quality}, upload ${recording.upload ?? 'none'}`);
+    });
+}
+
+// ow cleanup [--dry-run]
+async function cleanupCommand(args) {
+    const config = loadStationConfig();
+    const dryRun = args.includes('--dry-run');
+    // the deletions go to log.txt, the console gets the list below
+    const result = await applyRetention(config, new Logger({ ...config, logConsole: false }, 'ow'), { dryRun });
+
+    if (result.deleted.length === 0) {
+        console.log('Nothing to delete, the recordings are within the retention limits');
+        return;
+    }
+    result.deleted.forEach(entry => {
+        console.log(`  ${entry.name}  ${entry.kinds.join(', ')}  ${formatBytes(entry.bytes)}  (${entry.reason})`);
+    });
+    console.log(`${dryRun ? 'Would free' : 'Freed'} ${formatBytes(result.freed)}`);
+}
+
+const COMMANDS = {
+    passes: passesCommand,
+    'record-now': recordNowCommand,
+    upload: uploadCommand,
+    config: configCommand,
+    status: statusCommand,
+    cleanup: cleanupCommand
+};
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    if (!COMMANDS[command]) {
+        console.log(USAGE);
+        if (command && !['help', '--help', '-h'].includes(command)) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+    await COMMANDS[command](args);
+}
+
+main().catch((error) => {
+    fail(error.message);
+});
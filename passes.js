@@ -1,34 +1,41 @@
 /* passes.js
     This module contains functions to update passes, find the highest max elevation pass of the day,
-    and find the top X max elevation passes of the day.
+    find the top X max elevation passes of the day, and plan passes over a rolling horizon
+    with overlapping passes resolved.
 */
 
 const fs = require('fs');
 const path = require('path');
-const { processPasses } = require('./tle');
+const { processPasses, samePass } = require('./tle');
+const clock = require('./clock');
 
-// Function to update passes and clean up log file
+// Function to update passes
+// the new predictions replace the passes file, keeping the state (recorded, skipped, trimmed) of the passes they predict again
 async function updatePasses(config, logger) {
     const passesFilePath = path.resolve(config.saveDir, config.passesFile);
-    fs.writeFileSync(passesFilePath, '[]');
-    logger.info(`Cleared passes file at ${passesFilePath}`);
+    const backupFilePath = `${passesFilePath}.bak`;
 
-    // Get TLE data and process passes
-    await processPasses(config, logger);
-
-    // Clean log file to the most recent 100 lines
-    const logFilePath = path.resolve(config.saveDir, config.logFile);
-    const logFile = fs.readFileSync(logFilePath, 'utf8').split('\n');
-    const logFileLength = logFile.length;
+    // Keep a copy of the current schedule so it can be restored if no TLE source works
+    if (fs.existsSync(passesFilePath)) {
+        fs.copyFileSync(passesFilePath, backupFilePath);
+    }
 
-    if (logFileLength > 100) {
-        fs.writeFileSync(logFilePath, logFile.slice(logFileLength - 100).join('\n'));
+    // Get TLE data and process passes
+    try {
+        await processPasses(config, logger);
+    } catch (error) {
+        if (fs.existsSync(backupFilePath)) {
+            fs.copyFileSync(backupFilePath, passesFilePath);
+            logger.error(`Updating passes failed, restored previous passes from ${backupFilePath}`);
+        } else {
+            logger.error('Updating passes failed and there is no previous passes file to restore');
+        }
     }
 }
 
 // Function to find the highest max elevation pass of the day
 function findHighestMaxElevationPass(passes) {
-    const now = new Date();
+    const now = clock.now();
     const today = now.toLocaleDateString('en-CA'); // YYYY-MM-DD format in local time
 
     const validPasses = passes.filter(pass => {
@@ -55,7 +62,7 @@ function findHighestMaxElevationPass(passes) {
 
 
 function findTopMaxElevationPasses(passes, topCount = 1) {
-    const now = new Date();
+    const now = clock.now();
     const today = now.toLocaleDateString('en-CA'); // Local time YYYY-MM-DD
 
     const validPasses = passes.filter(pass => {
@@ -80,6 +87,152 @@ function findTopMaxElevationPasses(passes, topCount = 1) {
 }
 
 
+// Function to get the start time of a pass entry as a Date
+function passStartTime(pass) {
+    return new Date(`${pass.date} ${pass.time}`);
+}
+
+// Function to get a key identifying a pass, used to keep track of armed timers
+function passKey(pass) {
+    return `${pass.satellite}|${pass.date} ${pass.time}`;
+}
+
+// Function to pick the passes to record within a rolling horizon
+// The top `perDay` passes by max elevation are chosen for every calendar day the horizon touches. A day is ranked
+// over all its passes, recorded and past ones included, so re-planning later in the day doesn't move a recorded
+// pass's slot to the next-best pass; skipped passes give their slot back. Only the future, unrecorded picks are returned.
+function findUpcomingPasses(passes, perDay = 1, horizonHours = 24, now = clock.now()) {
+    const horizonEnd = new Date(now.getTime() + horizonHours * 60 * 60 * 1000);
+    const firstDay = now.toLocaleDateString('en-CA');
+    const lastDay = horizonEnd.toLocaleDateString('en-CA');
+    const byDay = new Map();
+
+    passes.forEach(pass => {
+        const passDate = passStartTime(pass);
+
+        if (isNaN(passDate.getTime())) {
+            console.error("Invalid Date detected for pass:", pass);
+            return;
+        }
+
+        const passDay = passDate.toLocaleDateString('en-CA');
+        if (pass.skipped || passDay < firstDay || passDay > lastDay) {
+            return;
+        }
+        if (!byDay.has(passDay)) {
+            byDay.set(passDay, []);
+        }
+        byDay.get(passDay).push(pass);
+    });
+
+    const selected = [];
+    for (const dayPasses of byDay.values()) {
+        dayPasses
+            .sort((a, b) => parseFloat(b.maxElevation) - parseFloat(a.maxElevation))
+            .slice(0, perDay)
+            .filter(pass => !pass.recorded && passStartTime(pass) > now && passStartTime(pass) <= horizonEnd)
+            .forEach(pass => selected.push(pass));
+    }
+
+    return selected.sort((a, b) => passStartTime(a) - passStartTime(b));
+}
+
+// Function to get the end time of a pass entry (start plus its buffered duration) as a Date
+function passEndTime(pass) {
+    return new Date(passStartTime(pass).getTime() + pass.duration * 60 * 1000);
+}
+
+// rank of a satellite in config.preferredSatellites, lower is preferred
+function satellitePreference(pass, preferredSatellites) {
+    const index = preferredSatellites.indexOf(pass.satellite);
+    return index === -1 ? Infinity : index;
+}
+
+// Function to decide which of two overlapping passes to keep
+// Returns { winner, loser, reason }
+function pickOverlapWinner(first, second, policy, config) {
+    if (policy === 'satellite') {
+        const preferred = config.preferredSatellites ?? [];
+        const firstRank = satellitePreference(first, preferred);
+        const secondRank = satellitePreference(second, preferred);
+        if (firstRank !== secondRank) {
+            return firstRank < secondRank
+                ? { winner: first, loser: second, reason: `${first.satellite} is preferred over ${second.satellite}` }
+                : { winner: second, loser: first, reason: `${second.satellite} is preferred over ${first.satellite}` };
+        }
+    }
+
+    // default policy, and the tie-breaker for the others: higher max elevation wins, earlier pass on a tie
+    const firstElevation = parseFloat(first.maxElevation);
+    const secondElevation = parseFloat(second.maxElevation);
+    return secondElevation > firstElevation
+        ? { winner: second, loser: first, reason: `lower max elevation (${firstElevation} < ${secondElevation})` }
+        : { winner: first, loser: second, reason: `lower max elevation (${secondElevation} <= ${firstElevation})` };
+}
+
+// Function to resolve overlapping passes in a plan according to config.conflictPolicy
+// 'elevation' keeps the higher pass, 'trim' cuts the first pass's trailing buffer if that removes the overlap,
+// 'satellite' keeps the satellite listed first in config.preferredSatellites
+// Returns { plan, skipped: [{ pass, reason }], trimmed: [{ pass, minutes }] }
+function resolveConflicts(plan, config, logger) {
+    const policy = config.conflictPolicy ?? 'elevation';
+    const bufferMinutes = config.bufferMinutes ?? 0;
+    const accepted = [];
+    const skipped = [];
+    const trimmed = [];
+
+    const sorted = [...plan].sort((a, b) => passStartTime(a) - passStartTime(b));
+
+    for (const pass of sorted) {
+        const previous = accepted[accepted.length - 1];
+
+        if (!previous || passStartTime(pass) >= passEndTime(previous)) {
+            accepted.push(pass);
+            continue;
+        }
+
+        const overlapMinutes = (passEndTime(previous) - passStartTime(pass)) / (60 * 1000);
+        logger.info(
+            `Passes overlap by ${overlapMinutes.toFixed(2)} minutes: ${passKey(previous)} and ${passKey(pass)} (policy: ${policy})`
+        );
+
+        if (policy === 'trim' && overlapMinutes <= bufferMinutes) {
+            previous.duration = Number((previous.duration - overlapMinutes).toFixed(2));
+            trimmed.push({ pass: previous, minutes: Number(overlapMinutes.toFixed(2)) });
+            accepted.push(pass);
+            logger.info(`Trimmed ${overlapMinutes.toFixed(2)} minutes of buffer from the end of ${passKey(previous)}`);
+            continue;
+        }
+
+        const { winner, loser, reason } = pickOverlapWinner(previous, pass, policy, config);
+        const skipReason = `overlaps ${winner.satellite} at ${winner.date} ${winner.time}: ${reason}`;
+        skipped.push({ pass: loser, reason: skipReason });
+        logger.info(`Skipping ${passKey(loser)}: ${skipReason}`);
+
+        if (winner === pass) {
+            accepted[accepted.length - 1] = pass;
+        }
+    }
+
+    return { plan: accepted, skipped, trimmed };
+}
+
+// Function to update fields of a pass in the passes file, re-reading it so concurrent updates are kept
+// the pass may have been predicted again since it was read, with a start a few seconds off
+function markPass(passesFilePath, pass, fields, logger) {
+    const passes = readPassesFile(passesFilePath, logger);
+    const entry = passes.find(p => passKey(p) === passKey(pass)) ?? passes.find(p => samePass(p, pass));
+
+    if (!entry) {
+        logger.error(`Pass not found in ${passesFilePath}: ${passKey(pass)}`);
+        return false;
+    }
+
+    Object.assign(entry, fields);
+    fs.writeFileSync(passesFilePath, JSON.stringify(passes, null, 2));
+    return true;
+}
+
 function ensurePassesFileExists(passesFilePath, logger) {
     if (!fs.existsSync(passesFilePath)) {
         fs.writeFileSync(passesFilePath, '[]');
@@ -97,10 +250,58 @@ function readPassesFile(passesFilePath, logger) {
     }
 }
 
+/**
+ * Returns true if the pass [passStart, passEnd) overlaps the 2:50-3:10 window.
+ */
+function willOverlapReboot(passStart, durationMinutes) {
+    // Convert pass times to timestamps
+    const passStartMs = passStart.getTime();
+    const passEndMs = passStartMs + durationMinutes * 60_000; // convert min -> ms
+
+    // Build the daily buffer window for the same date as passStart
+    const year = passStart.getFullYear();
+    const month = passStart.getMonth();
+    const day = passStart.getDate();
+
+    // 2:50 AM
+    const bufferStart = new Date(year, month, day, 2, 50).getTime();
+
+    // 3:10 AM
+    const bufferEnd = new Date(year, month, day, 3, 10).getTime();
+
+    // Overlap if passStart < bufferEnd and passEnd > bufferStart
+    return passStartMs < bufferEnd && passEndMs > bufferStart;
+}
+
+/**
+ * Selects the passes the scheduler would plan right now: the best passes of each day within the
+ * planning horizon, without those overlapping the reboot window and with conflicts resolved.
+ * For showing the plan outside the scheduler, nothing is logged or written to the passes file.
+ * @param {Array} passes - Entries from passes.json
+ * @param {object} config - The station configuration
+ * @param {Date} now - The current time
+ * @returns {Set<string>} - The passKey()s of the selected passes
+ */
+function selectPasses(passes, config, now) {
+    const quiet = { info: () => {}, notice: () => {}, warn: () => {}, error: () => {} };
+    const candidates = findUpcomingPasses(passes, config.numberOfPassesPerDay ?? 1, config.planningHorizonHours ?? 24, now)
+        .filter(pass => !willOverlapReboot(passStartTime(pass), pass.duration));
+    return new Set(resolveConflicts(candidates, config, quiet).plan.map(passKey));
+}
+
 module.exports = {
     updatePasses,
     findHighestMaxElevationPass,
     findTopMaxElevationPasses,
+    findUpcomingPasses,
     ensurePassesFileExists,
     readPassesFile,
+    markPass,
+    resolveConflicts,
+    passKey,
+    samePass,
+    passStartTime,
+    passEndTime,
+    willOverlapReboot,
+    selectPasses,
 };
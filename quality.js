@@ -0,0 +1,184 @@
+/* quality.js
+    This module estimates how good a NOAA APT recording is, so empty or noisy WAVs can be flagged.
+    It looks at the audio spectrum for the 2400 Hz APT subcarrier, estimates the SNR of the APT band
+    against the noise above it, and counts the lines with sync pulses. These are combined into a score
+    from 0 to 100 and a verdict: good, marginal, noise or silent.
+    The noise is measured just above the APT band: higher up, SoX's resampler rolls off towards the 5512 Hz
+    Nyquist limit and rtl_fm's de-emphasis has cut the noise further, which would make the SNR look better than it is.
+*/
+
+const { readWav } = require('./wav');
+const { demodulate, alignLines } = require('./apt');
+
+const CARRIER_HZ = 2400;
+const FFT_SIZE = 2048;
+const MAX_FRAMES = 1500;            // frames analysed at most, spread over the whole recording
+const APT_BAND = [300, 4200];       // the carrier with its sidebands (words up to 2080 Hz either side, little energy at the edges)
+const NOISE_BAND = [4200, 4600];    // above the APT band, where the resampler is still flat
+const SILENCE_RMS = 1e-4;
+
+// verdict thresholds on the score
+const GOOD_SCORE = 60;
+const MARGINAL_SCORE = 30;
+
+// in-place iterative radix-2 FFT
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+// Function to compute the average power spectrum (Welch, Hann window) of up to MAX_FRAMES frames
+function powerSpectrum(samples) {
+    const frameCount = Math.floor(samples.length / FFT_SIZE);
+    const step = Math.max(1, Math.floor(frameCount / MAX_FRAMES));
+    const window = Float32Array.from({ length: FFT_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1)));
+    const spectrum = new Float64Array(FFT_SIZE / 2);
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    let used = 0;
+
+    for (let frame = 0; frame < frameCount; frame += step) {
+        const offset = frame * FFT_SIZE;
+        for (let i = 0; i < FFT_SIZE; i++) {
+            re[i] = samples[offset + i] * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+        for (let k = 0; k < FFT_SIZE / 2; k++) {
+            spectrum[k] += re[k] * re[k] + im[k] * im[k];
+        }
+        used++;
+    }
+
+    for (let k = 0; k < spectrum.length; k++) {
+        spectrum[k] /= Math.max(1, used);
+    }
+    return spectrum;
+}
+
+// bins of the spectrum between two frequencies
+function bandBins(spectrum, sampleRate, [low, high]) {
+    const binHz = sampleRate / FFT_SIZE;
+    const from = Math.max(0, Math.ceil(low / binHz));
+    const to = Math.min(spectrum.length - 1, Math.floor(high / binHz));
+    return Array.from(spectrum.subarray(from, to + 1));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+function toDb(ratio) {
+    return ratio > 0 ? 10 * Math.log10(ratio) : -Infinity;
+}
+
+// clamp a value to [low, high] and map it to [0, 1]
+function scale(value, low, high) {
+    return Math.min(1, Math.max(0, (value - low) / (high - low)));
+}
+
+/**
+ * Analyses the quality of an APT recording.
+ * @param {string} wavFile - Path to the 11025 Hz WAV file produced by SoX
+ * @param {object} [options] - { syncRatio } to reuse the result of the APT decoder instead of aligning the lines again
+ * @returns {object} - { score, verdict, snrDb, carrierDb, syncRatio, rms, clipping, seconds }
+ */
+function analyseRecording(wavFile, options = {}) {
+    const { samples, sampleRate } = readWav(wavFile);
+    const seconds = samples.length / sampleRate;
+
+    let sumSquares = 0;
+    let clipped = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sumSquares += samples[i] * samples[i];
+        if (Math.abs(samples[i]) >= 0.999) clipped++;
+    }
+    const rms = Math.sqrt(sumSquares / Math.max(1, samples.length));
+    const clipping = clipped / Math.max(1, samples.length);
+
+    if (rms < SILENCE_RMS || samples.length < FFT_SIZE) {
+        return { score: 0, verdict: 'silent', snrDb: null, carrierDb: null, syncRatio: 0, rms, clipping, seconds };
+    }
+
+    const spectrum = powerSpectrum(samples);
+    const binHz = sampleRate / FFT_SIZE;
+
+    // the carrier against the median level around it: the sidebands are much weaker than the carrier itself
+    const carrierBin = Math.round(CARRIER_HZ / binHz);
+    const carrierPower = Math.max(spectrum[carrierBin - 1], spectrum[carrierBin], spectrum[carrierBin + 1]);
+    const surrounding = bandBins(spectrum, sampleRate, [CARRIER_HZ - 900, CARRIER_HZ + 900])
+        .filter((_, i, bins) => Math.abs(i - bins.length / 2) > 5);
+    const carrierDb = toDb(carrierPower / median(surrounding));
+
+    // power in the APT band against the noise density measured above it
+    const aptBins = bandBins(spectrum, sampleRate, APT_BAND);
+    const noiseDensity = median(bandBins(spectrum, sampleRate, NOISE_BAND));
+    const aptPower = aptBins.reduce((sum, p) => sum + p, 0);
+    const noisePower = noiseDensity * aptBins.length;
+    const snrDb = toDb(Math.max(aptPower - noisePower, noisePower * 1e-3) / noisePower);
+
+    let syncRatio = options.syncRatio;
+    if (syncRatio === undefined || syncRatio === null) {
+        const { lineStarts, syncA, syncB } = alignLines(demodulate(samples, sampleRate));
+        syncRatio = lineStarts.length ? (syncA + syncB) / (2 * lineStarts.length) : 0;
+    }
+
+    // the carrier standing out by 3-20 dB, an SNR of 0-20 dB and lines with sync pulses each make up part of the score
+    const score = Math.round(
+        40 * scale(carrierDb, 3, 20) +
+        30 * scale(snrDb, 0, 20) +
+        30 * scale(syncRatio, 0.1, 0.8)
+    );
+
+    let verdict = 'noise';
+    if (score >= GOOD_SCORE) {
+        verdict = 'good';
+    } else if (score >= MARGINAL_SCORE) {
+        verdict = 'marginal';
+    }
+
+    const round = value => (Number.isFinite(value) ? Number(value.toFixed(1)) : null);
+    return {
+        score,
+        verdict,
+        snrDb: round(snrDb),
+        carrierDb: round(carrierDb),
+        syncRatio: Number(syncRatio.toFixed(3)),
+        rms: Number(rms.toFixed(4)),
+        clipping: Number(clipping.toFixed(4)),
+        seconds: Math.round(seconds)
+    };
+}
+
+module.exports = { analyseRecording };
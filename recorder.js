@@ -2,15 +2,83 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { printLCD, clearLCD } = require('./lcd');
-const { uploadFile, uploadFileWithRetries } = require('./upload');
+const { enqueueUpload } = require('./outbox');
+const { decodeLRPT } = require('./lrpt');
+const { findSatellite } = require('./satellites');
+const { decodeAPTInWorker, analyseRecordingInWorker } = require('./analysis');
+const { startCapture } = require('./sdr');
+const clock = require('./clock');
+const { buildMetadata, writeSidecar, compressedFiles } = require('./metadata');
+const { renderPassSkyPlot } = require('./skyplot');
+const { compressRecording, archiveRecording } = require('./compress');
+const packageJson = require('./package.json');
+
+const MAX_RECENT_RECORDINGS = 20;
 
 let recording = false;
+let state = 'idle';
+let currentRecording = null;
+let lastRecording = null;
+const recentRecordings = [];
+// resolves with the recording (or null if it failed) once the current recording is captured and processed
+let recordingDone = Promise.resolve(null);
 
 // function to check if recording is in progress
 function isRecording() {
     return recording;
 }
 
+// function to get what the recorder is doing: idle, recording or processing
+function getState() {
+    return {
+        state: recording ? state : 'idle',
+        current: recording ? currentRecording : null
+    };
+}
+
+// function to get details (files, decoded image) of the most recent recording
+function getLastRecording() {
+    return lastRecording;
+}
+
+// function to wait until the current recording is captured and processed, resolves with getLastRecording() of it
+// or null if it failed; resolves right away when nothing is being recorded
+function waitForRecording() {
+    return recordingDone;
+}
+
+// function to get the most recent recordings (newest first) with their outbox upload ids
+function getRecentRecordings() {
+    return recentRecordings;
+}
+
+// function to decode the APT image from a finished WAV file, returns null if decoding fails
+async function decodeImage(wavFile, logger, signal) {
+    try {
+        logger.info(`Decoding APT image from ${wavFile}`);
+        const result = await decodeAPTInWorker(wavFile, signal);
+        logger.info(`Decoded ${result.lines} lines to ${result.imageFile} (sync A: ${result.syncA}, sync B: ${result.syncB})`);
+        printLCD('image decoded', `sync ${Math.round(result.syncRatio * 100)}%`);
+        return result;
+    } catch (error) {
+        logger.error(`APT decoding failed: ${error.message}`);
+        return null;
+    }
+}
+
+// function to estimate the signal quality of a finished WAV file, returns null if the analysis fails
+async function analyseQuality(wavFile, image, logger, signal) {
+    try {
+        const quality = await analyseRecordingInWorker(wavFile, { syncRatio: image ? image.syncRatio : undefined }, signal);
+        logger.info(`Recording quality: ${quality.verdict}, score ${quality.score}`, quality);
+        printLCD(`quality: ${quality.verdict}`, `score ${quality.score} snr${quality.snrDb ?? '-'}`);
+        return quality;
+    } catch (error) {
+        logger.error(`Quality analysis failed: ${error.message}`);
+        return null;
+    }
+}
+
 // function to create directory recursively
 function ensureDirectoryExists(directory) {
     if (!fs.existsSync(directory)) {
@@ -41,74 +109,278 @@ function toLocalISOString(date) {
     return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}.${milliseconds}${offsetSign}${offsetHours}:${offsetMinutes}`;
 }
 
-// function to start recording
-function startRecording(frequency, timestamp, satellite, durationMinutes, config, logger) {
+// function to start recording, returns false if another recording is already in progress
+// pass is the passes.json entry being recorded (null for manual recordings), its geometry goes into the sidecar
+function startRecording(frequency, timestamp, satellite, durationMinutes, config, logger, pass = null) {
     // check if a recording is already in progress
     if (recording) {
         logger.info('Already recording...');
-        return;
+        return false;
     }
 
-    recording = true;
-    logger.info('Starting recording of ' + satellite);
+    // the catalog entry says how to capture and process this satellite (apt unless config.satellites says otherwise)
+    const entry = findSatellite(config, satellite, frequency);
 
-    // ensure the recordings directory exists
+    // ensure the recordings directory exists, before the recorder counts as busy: this throws when the USB stick
+    // is missing or read-only
     const dir = path.join(config.saveDir, 'recordings');
     ensureDirectoryExists(dir);
 
+    recording = true;
+    state = 'recording';
+
+    // ends this recording once it is processed (or failed), only the first call counts
+    // so a recording given up on by the grace period below can't end the next one
+    let finished = false;
+    let finishRecording;
+    let processingTimer = null;
+    recordingDone = new Promise(resolve => { finishRecording = resolve; });
+    const finish = (result = null) => {
+        if (finished) return;
+        finished = true;
+        clock.clearTimeout(processingTimer);
+        recording = false;
+        finishRecording(result);
+    };
+
+    // kills the post-processing tools (SoX, SatDump, the APT decoder) when post-processing takes longer than config.processingTimeoutMinutes
+    const processing = new AbortController();
+    currentRecording = {
+        satellite,
+        frequency,
+        profile: entry.profile,
+        durationMinutes,
+        startedAt: clock.now().toISOString()
+    };
+    logger.info('Starting recording of ' + satellite);
+
     // format the timestamp for a filesystem-friendly filename
     const formattedTimestamp = toLocalISOString(timestamp);
 
-    // set sampleRate to config.sampleRate, or default to '48k'
-    const sampleRate = config.sampleRate ?? '48k';
+    // the profile's sample rate: config.sampleRate (default '48k') for APT audio, the IQ rate for LRPT
+    const sampleRate = entry.sampleRate;
 
     // set gain to config.gain, or default to '40'
     const gain = config.gain ?? '40';
 
+    // the post-processing steps of the profile, config.downsample, config.decodeImage, config.analyseQuality,
+    // config.compressAudio and config.archiveRecordings can turn them off
+    const steps = entry.postProcessing;
+
     // set downsampling preference to config.downsample
-    const doDownsample = config.downsample ?? true;
+    const doDownsample = (config.downsample ?? true) && steps.includes('resample');
+
+    // decode the image after the pass unless config.decodeImage is false
+    const doDecode = (config.decodeImage ?? true) && steps.includes('decode');
+
+    // check the signal quality unless config.analyseQuality is false
+    const doAnalyse = (config.analyseQuality ?? true) && steps.includes('quality');
+
+    // compress the WAV to FLAC only when config.compressAudio is enabled
+    const doCompress = (config.compressAudio ?? false) && steps.includes('compress');
+
+    // bundle the pass into a tar archive only when config.archiveRecordings is enabled
+    const doArchive = (config.archiveRecordings ?? false) && steps.includes('archive');
+
+    // give up on post-processing that isn't done config.processingTimeoutMinutes after the capture ended
+    const processingTimeoutMinutes = config.processingTimeoutMinutes ?? 30;
 
     // define file paths
     const fileTimestamp = formattedTimestamp.replace(/:/g, '-');    // otherwise it will be an invalid filename
-    const rawFile = path.join(dir, `${satellite}-${fileTimestamp}.raw`);
+    // IQ recordings (lrpt) are unsigned 8-bit IQ, .cu8 like SatDump expects
+    const rawFile = path.join(dir, `${satellite}-${fileTimestamp}.${entry.output === 'iq' ? 'cu8' : 'raw'}`);
     const wavFile = path.join(dir, `${satellite}-${fileTimestamp}.wav`);
+    const skyPlotFile = path.join(dir, `${satellite}-${fileTimestamp}.svg`);
+    // the rtl_sdr backend can keep the raw IQ next to the recording when config.saveIQ is enabled
+    const iqFile = config.saveIQ && entry.output !== 'iq' ? path.join(dir, `${satellite}-${fileTimestamp}.iq`) : null;
 
     logger.info('Recording raw data to ' + rawFile);
 
-    // start rtl_fm process to capture radio signal
-    const rtlFm = spawn(config.rtl_fm_path, [
-        '-f', frequency,          // Frequency
-        '-M', 'fm',               // Modulation type
-        '-s', sampleRate,         // Sampling rate
-        '-l', '0',                // Squelch level
-        '-g', gain,               // Gain
-        '-E', 'deemp',            // Enable de-emphasis filter
-        '-F', '9'                 // Set filtering mode
-    ]);
-
-    // log rtl_fm stderr for debugging
-    rtlFm.stderr.on('data', (data) => {
-        logger.info(`rtl_fm info: ${data}`);
-    });
+    // capture parameters for the sidecar, completed as the recording progresses
+    const capture = {
+        profile: entry.profile,
+        backend: null,
+        startedAt: clock.now().toISOString(),
+        endedAt: null,
+        durationMinutes,
+        sampleRate,
+        gain,
+        downsample: doDownsample,
+        sdrExitCode: null,
+        sdrSignal: null,
+        soxExitCode: null,
+        file: null,
+        fileSize: null,
+        status: 'recording',
+        error: null
+    };
+
+    // write the sidecar next to the recording, a failure here must not affect the recording itself
+    const saveSidecar = (recordingFile, fields = {}) => {
+        try {
+            const sidecarFile = writeSidecar(recordingFile, buildMetadata(config, { satellite, frequency, pass, capture, ...fields }));
+            logger.info(`Wrote recording metadata to ${sidecarFile}`);
+        } catch (error) {
+            logger.error(`Could not write recording metadata: ${error.message}`);
+        }
+    };
+
+    // resolves once the SDR backend has exited, so its exit status can be recorded
+    let sdrExited;
+    const sdrDone = new Promise(resolve => { sdrExited = resolve; });
+
+    // start capturing with the configured SDR backend (rtl_fm unless config.sdrBackend says otherwise)
+    // every backend delivers 16-bit PCM at sampleRate (or the IQ itself for lrpt), so everything after this works the same
+    let sdr;
+    try {
+        sdr = startCapture({ frequency, sampleRate, gain, satellite, iqFile, output: entry.output }, config, logger);
+    } catch (error) {
+        logger.error(`Could not start the SDR: ${error.message}`);
+        finish();
+        return false;
+    }
+    capture.backend = sdr.backend;
 
-    // handle potential errors in the rtl_fm process
-    rtlFm.on('error', (error) => {
-        logger.error('rtl_fm process error: ' + error.message);
-        recording = false;
-        writeStream.end();
+    // handle potential errors in the SDR backend
+    sdr.on('error', (error) => {
+        logger.error(`${sdr.backend} error: ${error.message}`);
+        capture.error = `${sdr.backend}: ${error.message}`;
     });
 
+    // queue a finished recording for upload with the capture details and the geometry of the pass
+    const uploadRecording = (recordingFile, image, quality, recent, compression = null) => {
+        const jsonData = {
+            myID: config.myID,
+            satellite: satellite,
+            frequency: frequency,
+            profile: entry.profile,
+            ...(entry.norad && { norad: entry.norad }),
+            locLat: config.locLat,
+            locLon: config.locLon,
+            locAlt: config.locAlt ?? 0,
+            gain: gain,
+            sampleRate: sampleRate,
+            timestamp: formattedTimestamp,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            durationMinutes: durationMinutes,
+            sdrBackend: capture.backend,
+            sdrExitCode: capture.sdrExitCode,
+            version: packageJson.version,
+            ...(pass && {
+                aos: pass.aos,
+                tca: pass.tca,
+                los: pass.los,
+                maxElevation: pass.maxElevation,
+                avgElevation: pass.avgElevation,
+                tleEpoch: pass.tleEpoch
+            }),
+            ...(image && { imageSyncRatio: image.syncRatio }),
+            ...(quality && {
+                qualityScore: quality.score,
+                qualityVerdict: quality.verdict,
+                snrDb: quality.snrDb,
+                carrierDb: quality.carrierDb
+            }),
+            auth_token: config.auth_token
+        };
+
+        // log jsonData, but don't log the auth_token
+        const sanitizedData = {
+            ...jsonData,
+            auth_token: jsonData.auth_token ? '*'.repeat(jsonData.auth_token.length) : '[REDACTED]'
+        };
+        logger.info('JSON data for upload:', sanitizedData);
+
+        // only attach the decoded image when config.uploadImage is enabled
+        // the FLAC and the archive are sent instead of the recording to destinations with "format": "flac" or "archive"
+        const uploadOptions = {
+            imageFile: image && config.uploadImage ? image.imageFile : null,
+            ...compressedFiles(recordingFile, compression)
+        };
+
+        // hand the upload to the persistent outbox, which retries until it gets through
+        try {
+            const item = enqueueUpload(config, recordingFile, jsonData, uploadOptions, logger);
+            recent.uploadId = item.id;
+            saveSidecar(recordingFile, { image, quality, compression, upload: { id: item.id, state: item.state, attempts: 0, destinations: item.destinations } });
+        } catch (error) {
+            logger.error(`Could not queue upload for ${recordingFile}: ${error.message}`);
+            saveSidecar(recordingFile, { image, quality, compression, upload: { state: 'not queued', error: error.message } });
+        }
+    };
+
+    // bundle the recording into a tar archive, with a sidecar written first so the archive has the metadata
+    const archive = async (recordingFile, fields) => {
+        saveSidecar(recordingFile, fields);
+        const archived = await archiveRecording(recordingFile, logger);
+        return archived ? { ...fields.compression, archive: archived } : fields.compression;
+    };
+
+    // set once the SDR has exited, from there on the recording is written out and processed
+    let captureEnded = false;
+
     // write raw data to file
     const writeStream = fs.createWriteStream(rawFile);
 
-    // pipe the output of rtl_fm directly into the write stream
-    rtlFm.stdout.pipe(writeStream);
+    // pipe the audio directly into the write stream
+    sdr.stream.pipe(writeStream);
 
-    writeStream.on('finish', () => {
+    writeStream.on('finish', async () => {
         logger.info(`Successfully saved raw audio to ${rawFile}`);
+        await sdrDone;
+        capture.endedAt = clock.now().toISOString();
+
+        // draw the pass with the part that was recorded, manual recordings have no predicted track
+        if (pass && pass.track) {
+            try {
+                fs.writeFileSync(skyPlotFile, renderPassSkyPlot(pass, { recorded: { start: capture.startedAt, end: capture.endedAt }, horizon: config.horizon }));
+                logger.info(`Wrote the sky plot of the pass to ${skyPlotFile}`);
+            } catch (error) {
+                logger.error(`Could not draw the sky plot: ${error.message}`);
+            }
+        }
+
+        // IQ recordings (lrpt) are decoded from the IQ itself, there is no audio to resample
+        if (entry.output === 'iq') {
+            state = 'processing';
+            const stats = fs.statSync(rawFile);
+            logger.info(`File size: ${stats.size / 1024} KB`);
+            Object.assign(capture, { status: 'complete', file: path.basename(rawFile), fileSize: stats.size });
+
+            const image = doDecode ? await decodeLRPT(rawFile, entry, config, logger, processing.signal) : null;
+            if (image) {
+                printLCD('image decoded', `${image.images.length} images`);
+            }
+            lastRecording = {
+                satellite,
+                frequency,
+                profile: entry.profile,
+                timestamp: formattedTimestamp,
+                wavFile: null,
+                iqFile: rawFile,
+                imageFile: image ? image.imageFile : null,
+                image,
+                quality: null,
+                uploadId: null
+            };
+            recentRecordings.unshift(lastRecording);
+            recentRecordings.splice(MAX_RECENT_RECORDINGS);
+
+            // an LRPT recording has no audio to compress, its archive has the images and the sidecar
+            const compression = doArchive ? await archive(rawFile, { image, compression: null }) : null;
+
+            if (steps.includes('upload')) {
+                uploadRecording(rawFile, image, null, lastRecording, compression);
+            } else {
+                saveSidecar(rawFile, { image, compression, upload: { state: 'skipped', reason: 'upload is not in postProcessing' } });
+            }
+            finish(lastRecording);
+            return;
+        }
 
         if (doDownsample) {
             // use SoX to downsample and convert raw audio to WAV
+            state = 'processing';
             logger.info('Starting SoX process to downsample and convert to WAV');
             const soxProcess = spawn(config.sox_path, [
                 '-t', 'raw',          // input type is raw
@@ -121,7 +393,7 @@ function startRecording(frequency, timestamp, satellite, durationMinutes, config
                 '-t', 'wav',          // iutput type is WAV
                 wavFile,              // iutput file
                 'rate', '-v', '11025' // resample to 11025 Hz with very high quality
-            ]);
+            ], { signal: processing.signal });
 
             // log SoX stderr for debugging
             soxProcess.stderr.on('data', (data) => {
@@ -131,102 +403,124 @@ function startRecording(frequency, timestamp, satellite, durationMinutes, config
             // handle potential errors in the SoX process
             soxProcess.on('error', (error) => {
                 logger.error('SoX process error: ' + error.message);
-                recording = false;
+                finish();
             });
 
             // handle SoX process exit
-            soxProcess.on('close', (soxCode) => {
+            soxProcess.on('close', async (soxCode) => {
+                capture.soxExitCode = soxCode;
                 if (soxCode === 0) {
                     logger.info(`Successfully processed audio to ${wavFile}`);
 
-                    // upload the WAV file
-                    const jsonData = {
-                        myID: config.myID,
-                        satellite: satellite,
-                        locLat: config.locLat,
-                        locLon: config.locLon,
-                        gain: config.gain,
+                    const image = doDecode ? await decodeImage(wavFile, logger, processing.signal) : null;
+                    const quality = doAnalyse ? await analyseQuality(wavFile, image, logger, processing.signal) : null;
+                    lastRecording = {
+                        satellite,
+                        frequency,
+                        profile: entry.profile,
                         timestamp: formattedTimestamp,
-                        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-                        auth_token: config.auth_token
+                        wavFile,
+                        imageFile: image ? image.imageFile : null,
+                        image,
+                        quality,
+                        uploadId: null
                     };
-
-                    // log jsonData
-                    logger.info('JSON data for upload:');
-
-                    // don't log the auth_token though
-                    const sanitizedData = {
-                        ...jsonData,
-                        auth_token: jsonData.auth_token ? '*'.repeat(jsonData.auth_token.length) : '[REDACTED]'
-                    };
-                    logger.info(JSON.stringify(sanitizedData, null, 2));
+                    recentRecordings.unshift(lastRecording);
+                    recentRecordings.splice(MAX_RECENT_RECORDINGS);
+                    const thisRecording = lastRecording;
 
                     // log filesize
                     const stats = fs.statSync(wavFile);
                     const fileSizeInBytes = stats.size;
                     const fileSizeInKilobytes = fileSizeInBytes / 1024;
                     logger.info(`File size: ${fileSizeInKilobytes} KB`);
-
-                    printLCD('uploading...');
-
-                    uploadFileWithRetries(wavFile, jsonData, logger, 5, 10000) // e.g. up to 5 attempts, 10-second delay
-                        .then(response => {
-                            if (response.success === false) {
-                                logger.error('Upload ultimately failed after retries:', JSON.stringify(response, null, 2));
-                            } else {
-                                logger.info('Upload successful:', response);
-                                printLCD('upload completed!');
-                            }
-                        })
-                        .catch(error => {
-                            // catch any unexpected thrown errors
-                            logger.error('Unexpected error during upload retries:', error);
-                        })
-                        .finally(() => {
-                            recording = false; // ensure recording flag is reset
-                        });
+                    Object.assign(capture, { status: 'complete', file: path.basename(wavFile), fileSize: fileSizeInBytes });
+
+                    // FLAC and archive before the upload is queued, so the upload can send them
+                    let compression = doCompress ? await compressRecording(wavFile, { rawFile, sampleRate }, config, logger, processing.signal) : null;
+                    if (doArchive) {
+                        compression = await archive(wavFile, { image, quality, compression });
+                    }
+
+                    // don't upload recordings below config.minUploadQuality, they are kept on disk though
+                    const minQuality = config.minUploadQuality ?? 0;
+                    if (quality && quality.score < minQuality) {
+                        const reason = `quality score ${quality.score} is below minUploadQuality ${minQuality}`;
+                        logger.notice(`Not uploading ${wavFile}: ${reason}`);
+                        printLCD('upload skipped', `quality ${quality.score}<${minQuality}`);
+                        saveSidecar(wavFile, { image, quality, compression, upload: { state: 'skipped', reason } });
+                        finish(thisRecording);
+                        return;
+                    }
+
+                    if (!steps.includes('upload')) {
+                        saveSidecar(wavFile, { image, quality, compression, upload: { state: 'skipped', reason: 'upload is not in postProcessing' } });
+                        finish(thisRecording);
+                        return;
+                    }
+
+                    uploadRecording(wavFile, image, quality, thisRecording, compression);
+                    finish(thisRecording);
 
                 } else {
                     logger.error(`SoX processing failed with code ${soxCode}`);
-                    recording = false; // ensure recording flag is reset
+                    Object.assign(capture, { status: 'failed', error: `SoX exited with code ${soxCode}` });
+                    saveSidecar(rawFile);
+                    finish();
                 }
             });
 
         } else {
             // no downsampling; recording is complete.
             logger.info('Downsampling not enabled; recording complete.');
-            recording = false; // ensure recording flag is reset
+            const stats = fs.statSync(rawFile);
+            Object.assign(capture, { status: 'complete', file: path.basename(rawFile), fileSize: stats.size });
+            saveSidecar(rawFile);
+            finish();
         }
     });
 
     writeStream.on('error', (error) => {
         logger.error('Write stream error: ' + error.message);
-        recording = false;
+        finish();
     });
 
-    // handle rtl_fm process exit
-    rtlFm.on('close', (code) => {
-        logger.info(`rtl_fm process exited with code ${code}`);
-        if (code !== 0) {
-            logger.error('rtl_fm did not exit cleanly.');
-            writeStream.end();
-            recording = false;
+    // handle the end of the capture; being stopped at the end of the pass counts as a clean exit
+    sdr.on('exit', ({ code, signal, stopped }) => {
+        logger.info(`${sdr.backend} exited with code ${code}${signal ? ` (${signal})` : ''}`);
+        capture.sdrExitCode = code;
+        capture.sdrSignal = signal;
+        captureEnded = true;
+        sdrExited();
+
+        // a hanging SoX or SatDump mustn't keep the recorder busy for the passes after this one
+        processingTimer = clock.setTimeout(() => {
+            if (finished) return;
+            logger.error(`Post-processing took longer than ${processingTimeoutMinutes} minutes, giving up on it`);
+            processing.abort();
+            finish();
+        }, processingTimeoutMinutes * 60 * 1000);
+        if (code !== 0 && !stopped) {
+            logger.error(`${sdr.backend} did not exit cleanly.`);
         }
     });
 
     // stop the recording after the specified duration
-    setTimeout(() => {
+    clock.setTimeout(() => {
         logger.info('Stopping recording...');
-        rtlFm.kill();
+        sdr.stop();
 
-        // if recording is still in progress after killing rtl_fm, set a timeout to forcefully end it
-        setTimeout(() => {
-            if (recording) {
+        // if the SDR hasn't exited 10 seconds after stopping it, give up on the recording
+        // writing out and post-processing (SoX, decoding, compression) can take longer, they end the recording themselves
+        clock.setTimeout(() => {
+            if (!captureEnded) {
                 logger.notice('Forcing recording to stop due to timeout.');
-                recording = false;
+                finish();
             }
         }, 10000); // 10 seconds grace period
     }, durationMinutes * 60 * 1000); // convert minutes to milliseconds
+
+    return true;
 }
 
-module.exports = { isRecording, startRecording };
+module.exports = { isRecording, startRecording, waitForRecording, getState, getLastRecording, getRecentRecordings };
@@ -0,0 +1,314 @@
+/* rotator.js
+    This module points a directional antenna on an az/el rotator at the satellite, through Hamlib's rotctld.
+    rotctld speaks a line based protocol over TCP (port 4533 by default):
+        P <azimuth> <elevation>    move, answered with "RPRT 0"
+        p                          the current position, answered with the azimuth and elevation on two lines
+        S                          stop, answered with "RPRT 0"
+    A negative RPRT is a Hamlib error code.
+    The scheduler calls startPassTracking() rotatorLeadSeconds before a planned recording starts: the antenna
+    is turned to where the satellite rises, follows the satellite.js look angles from AOS to LOS and is parked
+    afterwards. fake-rotctld.js stands in for rotctld when testing.
+*/
+
+const net = require('net');
+const satellite = require('satellite.js');
+const clock = require('./clock');
+const { findSatrec } = require('./tle');
+const { passStartTime, passEndTime } = require('./passes');
+
+const COMMAND_TIMEOUT_MS = 5000;
+const PLAN_STEP_MS = 10000;
+
+// the range the rotator can turn to, from the config
+function rotatorLimits(config) {
+    return {
+        minAzimuth: config.rotatorMinAzimuth ?? 0,
+        maxAzimuth: config.rotatorMaxAzimuth ?? 360,
+        minElevation: config.rotatorMinElevation ?? 0,
+        maxElevation: config.rotatorMaxElevation ?? 90
+    };
+}
+
+/**
+ * Connects to rotctld.
+ * @param {string} host - Host of rotctld
+ * @param {number} port - Port of rotctld
+ * @returns {Promise<object>} - { command(line, lines), close() } where command resolves with the reply lines
+ */
+function connectRotator(host, port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, host);
+        const pending = [];
+        let buffer = '';
+        let closedError = null;
+
+        // fail every command still waiting for its reply
+        const failAll = (error) => {
+            closedError = error;
+            while (pending.length > 0) {
+                const request = pending.shift();
+                clearTimeout(request.timer);
+                request.reject(error);
+            }
+        };
+
+        socket.setEncoding('utf8');
+        socket.on('data', (data) => {
+            buffer += data;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).trim();
+                buffer = buffer.slice(newline + 1);
+                const request = pending[0];
+                if (!request) continue;
+
+                // a reply ends after the expected number of lines, or with an RPRT line
+                const report = /^RPRT (-?\d+)$/.exec(line);
+                if (!report) {
+                    request.lines.push(line);
+                }
+                if (report || request.lines.length === request.expected) {
+                    pending.shift();
+                    clearTimeout(request.timer);
+                    if (report && Number(report[1]) !== 0) {
+                        request.reject(new Error(`rotctld answered ${request.line} with RPRT ${report[1]}`));
+                    } else {
+                        request.resolve(request.lines);
+                    }
+                }
+            }
+        });
+
+        socket.on('connect', () => {
+            resolve({
+                command: (line, expected = 0) => new Promise((resolveCommand, rejectCommand) => {
+                    if (closedError) {
+                        rejectCommand(closedError);
+                        return;
+                    }
+                    const request = { line, expected, lines: [], resolve: resolveCommand, reject: rejectCommand };
+                    request.timer = setTimeout(() => {
+                        socket.destroy(new Error(`rotctld did not answer ${line}`));
+                    }, COMMAND_TIMEOUT_MS);
+                    pending.push(request);
+                    socket.write(`${line}\n`);
+                }),
+                close: () => socket.end()
+            });
+        });
+
+        socket.on('error', (error) => {
+            failAll(error);
+            reject(error);
+        });
+        socket.on('close', () => failAll(closedError ?? new Error('rotctld closed the connection')));
+    });
+}
+
+// azimuth and elevation of the satellite in degrees, or null if it can't be propagated
+function lookAngles(satrec, observerGd, date) {
+    const positionAndVelocity = satellite.propagate(satrec, date);
+    if (!positionAndVelocity.position) {
+        return null;
+    }
+    const gmst = satellite.gstime(date);
+    const positionEcf = satellite.eciToEcf(positionAndVelocity.position, gmst);
+    const angles = satellite.ecfToLookAngles(observerGd, positionEcf);
+    return {
+        azimuth: satellite.radiansToDegrees(angles.azimuth),
+        elevation: satellite.radiansToDegrees(angles.elevation)
+    };
+}
+
+// the azimuth a whole number of turns away from azimuth that is closest to reference
+function nearestTurn(azimuth, reference) {
+    return azimuth + Math.round((reference - azimuth) / 360) * 360;
+}
+
+// a flipped rotator looks over the zenith: the azimuth turned by 180° and the elevation mirrored
+function rotatorAngles(angles, flip) {
+    return flip
+        ? { azimuth: (angles.azimuth + 180) % 360, elevation: 180 - angles.elevation }
+        : { azimuth: angles.azimuth, elevation: angles.elevation };
+}
+
+/**
+ * Decides how to follow a pass within the rotator's limits. The azimuth is followed without jumps where the
+ * range allows it (rotators turning further than 360° can start on either turn). If it doesn't fit and flip
+ * is allowed, the pass is followed over the zenith instead, which keeps passes crossing the north end stop
+ * from swinging the antenna around halfway.
+ * @param {Array} samples - Predicted { azimuth, elevation } of the satellite over the pass
+ * @param {object} limits - From rotatorLimits()
+ * @param {boolean} allowFlip - Whether the rotator can tilt past 90° elevation
+ * @returns {object} - { flip, startAzimuth, fits } where fits is false if the rotator has to turn around during the pass
+ */
+function planPointing(samples, limits, allowFlip) {
+    for (const flip of allowFlip ? [false, true] : [false]) {
+        const azimuths = [];
+        samples.map(angles => rotatorAngles(angles, flip)).forEach(({ azimuth }) => {
+            azimuths.push(azimuths.length === 0 ? azimuth : nearestTurn(azimuth, azimuths[azimuths.length - 1]));
+        });
+        const low = Math.min(...azimuths);
+        const high = Math.max(...azimuths);
+
+        // shift the whole path by the fewest whole turns that bring it past the lower end stop
+        const turn = Math.ceil((limits.minAzimuth - low) / 360);
+        if (high + turn * 360 <= limits.maxAzimuth) {
+            return { flip, startAzimuth: azimuths[0] + turn * 360, fits: true };
+        }
+    }
+    return { flip: false, startAzimuth: null, fits: false };
+}
+
+/**
+ * Converts the satellite's look angles to a rotator position.
+ * @param {object} angles - { azimuth, elevation } of the satellite
+ * @param {object} plan - From planPointing()
+ * @param {number|null} previousAzimuth - The azimuth last sent to the rotator, null for the first position
+ * @param {object} limits - From rotatorLimits()
+ * @returns {object} - { azimuth, elevation } within the limits
+ */
+function pointingFor(angles, plan, previousAzimuth, limits) {
+    const target = rotatorAngles(angles, plan.flip);
+    let azimuth = nearestTurn(target.azimuth, previousAzimuth ?? plan.startAzimuth ?? target.azimuth);
+    if (azimuth < limits.minAzimuth || azimuth > limits.maxAzimuth) {
+        // past an end stop: turn around to the same direction on the other side
+        azimuth = nearestTurn(target.azimuth, (limits.minAzimuth + limits.maxAzimuth) / 2);
+    }
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    return {
+        azimuth: Number(clamp(azimuth, limits.minAzimuth, limits.maxAzimuth).toFixed(1)),
+        elevation: Number(clamp(target.elevation, limits.minElevation, limits.maxElevation).toFixed(1))
+    };
+}
+
+/**
+ * Points the rotator at a pass: pre-positions it at the AOS azimuth right away, follows the satellite from
+ * AOS to LOS and parks it at LOS. Errors are logged, the recording never depends on the rotator.
+ * @param {object} pass - The entry from passes.json
+ * @param {object} config - The station configuration (rotatorHost, rotatorPort, limits, ...)
+ * @param {object} logger - Your logger instance
+ * @returns {object|null} - { pass, stop(), done } or null if there is no TLE to track the pass with
+ */
+function startPassTracking(pass, config, logger) {
+    const satrec = findSatrec(config, pass.satellite);
+    if (!satrec) {
+        logger.warn(`No TLE for ${pass.satellite} in the cache, not pointing the rotator`);
+        return null;
+    }
+
+    const host = config.rotatorHost ?? '127.0.0.1';
+    const port = config.rotatorPort ?? 4533;
+    const limits = rotatorLimits(config);
+    const tolerance = config.rotatorTolerance ?? 1;
+    const observerGd = {
+        latitude: satellite.degreesToRadians(config.locLat),
+        longitude: satellite.degreesToRadians(config.locLon),
+        height: (config.locAlt ?? 0) / 1000
+    };
+    // passes predicted before AOS/LOS were stored only have the buffered recording window
+    const aosMs = new Date(pass.aos ?? passStartTime(pass)).getTime();
+    const losMs = new Date(pass.los ?? passEndTime(pass)).getTime();
+
+    const samples = [];
+    for (let t = aosMs; t <= losMs + PLAN_STEP_MS; t += PLAN_STEP_MS) {
+        const angles = lookAngles(satrec, observerGd, new Date(Math.min(t, losMs)));
+        if (angles) samples.push(angles);
+    }
+    if (samples.length === 0) {
+        logger.warn(`Could not compute where ${pass.satellite} is, not pointing the rotator`);
+        return null;
+    }
+    const plan = planPointing(samples, limits, (config.rotatorFlip ?? false) && limits.maxElevation > 90);
+    if (!plan.fits) {
+        logger.warn(`${pass.satellite} crosses the rotator's azimuth limits, the antenna will turn around during the pass`);
+    }
+
+    let client = null;
+    let timer = null;
+    let stopped = false;
+    let busy = false;
+    let previous = null;
+    let moves = 0;
+    let finishDone;
+    const done = new Promise(resolve => { finishDone = resolve; });
+
+    const moveTo = async (position) => {
+        await client.command(`P ${position.azimuth.toFixed(1)} ${position.elevation.toFixed(1)}`);
+        previous = position;
+        moves++;
+    };
+
+    // park and disconnect, once
+    const finish = async () => {
+        if (stopped) return;
+        stopped = true;
+        clock.clearInterval(timer);
+        if (client) {
+            try {
+                await client.command(`P ${(config.rotatorParkAzimuth ?? 0).toFixed(1)} ${(config.rotatorParkElevation ?? 90).toFixed(1)}`);
+                logger.info(`Rotator followed ${pass.satellite} with ${moves} moves and is parked`);
+            } catch (error) {
+                logger.error(`Could not park the rotator: ${error.message}`);
+            }
+            client.close();
+        }
+        finishDone();
+    };
+
+    // follow the satellite between AOS and LOS, skipping moves smaller than rotatorTolerance
+    const update = async () => {
+        if (busy || stopped) return;
+        const now = clock.now().getTime();
+        if (now >= losMs) {
+            await finish();
+            return;
+        }
+        if (now < aosMs) return;
+
+        const angles = lookAngles(satrec, observerGd, new Date(now));
+        if (!angles) return;
+        const target = pointingFor(angles, plan, previous && previous.azimuth, limits);
+        if (previous && Math.abs(target.azimuth - previous.azimuth) < tolerance && Math.abs(target.elevation - previous.elevation) < tolerance) {
+            return;
+        }
+        busy = true;
+        try {
+            await moveTo(target);
+            logger.debug(`Rotator to azimuth ${target.azimuth}° elevation ${target.elevation}°`);
+        } catch (error) {
+            logger.error(`Rotator move failed: ${error.message}`);
+        } finally {
+            busy = false;
+        }
+    };
+
+    const run = async () => {
+        try {
+            client = await connectRotator(host, port);
+            const [azimuth, elevation] = await client.command('p', 2);
+            logger.info(`Connected to rotctld at ${host}:${port}, the rotator is at azimuth ${parseFloat(azimuth)}° elevation ${parseFloat(elevation)}°`);
+            if (stopped) {
+                client.close();
+                return;
+            }
+
+            const aos = pointingFor(samples[0], plan, null, limits);
+            await moveTo(aos);
+            logger.info(`Pre-positioned the rotator for ${pass.satellite} at azimuth ${aos.azimuth}° elevation ${aos.elevation}°${plan.flip ? ', following the pass flipped over the zenith' : ''}`);
+            if (!stopped) {
+                timer = clock.setInterval(update, (config.rotatorUpdateSeconds ?? 2) * 1000);
+            }
+        } catch (error) {
+            logger.error(`Rotator at ${host}:${port} not available, recording ${pass.satellite} without pointing the antenna: ${error.message}`);
+            stopped = true;
+            if (client) client.close();
+            finishDone();
+        }
+    };
+
+    run();
+    return { pass, stop: finish, done };
+}
+
+module.exports = { startPassTracking, connectRotator, planPointing, pointingFor, rotatorLimits };
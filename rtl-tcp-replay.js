@@ -0,0 +1,104 @@
+// rtl-tcp-replay.js
+// A stand-in for rtl_tcp that replays a recorded IQ file (unsigned 8-bit I/Q, as written by `rtl_sdr`)
+// Use it to test the rtl_tcp backend without a dongle:
+//   rtl_sdr -f 137.1M -s 240000 -g 38 pass.iq        (record a fixture once)
+//   node rtl-tcp-replay.js pass.iq --port 1234 --speed 1
+// Commands sent by the client (frequency, sample rate, gain) are printed, the frequency is not applied
+
+const fs = require('fs');
+const net = require('net');
+
+const COMMAND_NAMES = {
+    0x01: 'frequency',
+    0x02: 'sample rate',
+    0x03: 'gain mode',
+    0x04: 'gain',
+    0x05: 'frequency correction',
+    0x08: 'AGC mode'
+};
+const TUNER_R820T = 5;
+const GAIN_STEPS = 29;
+const CHUNK_MS = 100;
+
+// parse `<iq-file> [--port 1234] [--host 127.0.0.1] [--rate 240000] [--speed 1] [--loop]`
+function parseArgs(argv) {
+    const options = { port: 1234, host: '127.0.0.1', rate: 240000, speed: 1, loop: false, file: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--loop') {
+            options.loop = true;
+        } else if (arg.startsWith('--')) {
+            options[arg.slice(2)] = arg.slice(2) === 'host' ? argv[++i] : Number(argv[++i]);
+        } else {
+            options.file = arg;
+        }
+    }
+    return options;
+}
+
+// Function to serve one client: send the header, then stream the file at (a multiple of) real time
+function serveClient(socket, options) {
+    const data = fs.readFileSync(options.file);
+    let rate = options.rate;
+    let offset = 0;
+    let pending = Buffer.alloc(0);
+
+    const header = Buffer.alloc(12);
+    header.write('RTL0', 0, 'ascii');
+    header.writeUInt32BE(TUNER_R820T, 4);
+    header.writeUInt32BE(GAIN_STEPS, 8);
+    socket.write(header);
+
+    socket.on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        while (pending.length >= 5) {
+            const code = pending.readUInt8(0);
+            const value = pending.readUInt32BE(1);
+            pending = pending.subarray(5);
+            if (code === 0x02) {
+                rate = value;
+            }
+            console.log(`client set ${COMMAND_NAMES[code] || `command ${code}`} to ${value}`);
+        }
+    });
+
+    const timer = setInterval(() => {
+        // two bytes per IQ sample
+        const bytes = Math.round(rate * options.speed * CHUNK_MS / 1000) * 2;
+        if (offset >= data.length) {
+            if (!options.loop) {
+                console.log('end of file, closing connection');
+                clearInterval(timer);
+                socket.end();
+                return;
+            }
+            offset = 0;
+        }
+        socket.write(data.subarray(offset, offset + bytes));
+        offset += bytes;
+    }, CHUNK_MS);
+
+    socket.on('close', () => {
+        clearInterval(timer);
+        console.log('client disconnected');
+    });
+    socket.on('error', (error) => console.error(`socket error: ${error.message}`));
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.file || !fs.existsSync(options.file)) {
+        console.error('usage: node rtl-tcp-replay.js <iq-file> [--port 1234] [--host 127.0.0.1] [--rate 240000] [--speed 1] [--loop]');
+        process.exit(1);
+    }
+
+    const server = net.createServer(socket => {
+        console.log(`client connected from ${socket.remoteAddress}`);
+        serveClient(socket, options);
+    });
+    server.listen(options.port, options.host, () => {
+        console.log(`replaying ${options.file} as rtl_tcp on ${options.host}:${options.port} at ${options.speed}x`);
+    });
+} else {
+    module.exports = { serveClient, parseArgs };
+}
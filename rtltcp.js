@@ -0,0 +1,184 @@
+/* rtltcp.js
+    This module captures a pass from an rtl_tcp server instead of spawning rtl_fm.
+    It sets the sample rate and gain over the socket, demodulates FM in JavaScript (dsp.js)
+    and retunes the center frequency every few seconds to follow the Doppler shift of the
+    satellite, computed with satellite.js from the cached TLEs.
+    The capture looks like a child process to sdr.js: 16-bit PCM on `stdout` (or the IQ samples
+    themselves for the lrpt profile), `kill()`, and 'error' / 'close' events.
+*/
+
+const net = require('net');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const satellite = require('satellite.js');
+const { FMDemodulator } = require('./dsp');
+const { parseRate } = require('./schema');
+const { findSatrec } = require('./tle');
+const clock = require('./clock');
+
+const SPEED_OF_LIGHT = 299792.458; // km/s
+const HEADER_BYTES = 12;           // "RTL0", tuner type, number of gain steps
+
+// rtl_tcp commands: one byte command followed by a 32-bit big-endian parameter
+const COMMANDS = {
+    setFrequency: 0x01,
+    setSampleRate: 0x02,
+    setGainMode: 0x03,
+    setGain: 0x04,
+    setFrequencyCorrection: 0x05,
+    setAgcMode: 0x08
+};
+
+function command(code, value) {
+    const buffer = Buffer.alloc(5);
+    buffer.writeUInt8(code, 0);
+    buffer.writeUInt32BE(value >>> 0, 1);
+    return buffer;
+}
+
+// distance from the observer to the satellite in km
+function rangeAt(satrec, observerGd, date) {
+    const positionAndVelocity = satellite.propagate(satrec, date);
+    if (!positionAndVelocity.position) {
+        return null;
+    }
+    const gmst = satellite.gstime(date);
+    const positionEcf = satellite.eciToEcf(positionAndVelocity.position, gmst);
+    return satellite.ecfToLookAngles(observerGd, positionEcf).rangeSat;
+}
+
+/**
+ * Computes the Doppler shift of a downlink as seen from the station.
+ * @param {object} satrec - Satellite record from satellite.twoline2satrec
+ * @param {object} observerGd - { latitude, longitude (radians), height (km) }
+ * @param {number} frequencyHz - Nominal downlink frequency
+ * @param {Date} date - When
+ * @returns {number} - Shift in Hz, positive while the satellite approaches
+ */
+function dopplerShift(satrec, observerGd, frequencyHz, date) {
+    const before = rangeAt(satrec, observerGd, new Date(date.getTime() - 500));
+    const after = rangeAt(satrec, observerGd, new Date(date.getTime() + 500));
+    if (before === null || after === null) {
+        return 0;
+    }
+    const rangeRate = after - before; // km/s over one second
+    return -rangeRate / SPEED_OF_LIGHT * frequencyHz;
+}
+
+/**
+ * Starts capturing from an rtl_tcp server.
+ * @param {object} options - { frequency, sampleRate, gain, satellite, output } where output 'iq' skips the FM demodulation
+ * @param {object} config - The station configuration (rtlTcpHost, rtlTcpPort, iqSampleRate, dopplerCorrection, ...)
+ * @param {object} logger - Your logger instance
+ * @returns {EventEmitter} - With `stdout` (16-bit PCM at sampleRate, or 8-bit IQ at sampleRate) and `kill()`, emits 'error' and 'close' (code, signal)
+ */
+function startRtlTcpCapture({ frequency, sampleRate, gain, satellite: satName, output }, config, logger) {
+    const capture = new EventEmitter();
+    capture.stdout = new PassThrough();
+
+    const host = config.rtlTcpHost ?? '127.0.0.1';
+    const port = config.rtlTcpPort ?? 1234;
+    const centerHz = parseRate(frequency);
+    const audioRate = parseRate(sampleRate);
+    const rawIQ = output === 'iq';
+    const demodulator = rawIQ ? null : new FMDemodulator({
+        inputRate: config.iqSampleRate ?? 240000,
+        outputRate: audioRate,
+        deemphasis: config.deemphasis ?? true
+    });
+    const iqRate = rawIQ ? audioRate : demodulator.decimation * audioRate;
+
+    const observerGd = {
+        latitude: satellite.degreesToRadians(config.locLat),
+        longitude: satellite.degreesToRadians(config.locLon),
+        height: (config.locAlt ?? 0) / 1000
+    };
+    const satrec = (config.dopplerCorrection ?? true) ? findSatrec(config, satName) : null;
+    if ((config.dopplerCorrection ?? true) && !satrec) {
+        logger.warn(`No TLE for ${satName} in the cache, recording without Doppler correction`);
+    }
+
+    let headerBytes = 0;
+    let stopping = false;
+    let closed = false;
+    let retuneTimer = null;
+    const shifts = [];
+
+    const socket = net.connect(port, host);
+
+    // tune to the nominal frequency plus the current Doppler shift
+    const retune = () => {
+        const shift = satrec ? Math.round(dopplerShift(satrec, observerGd, centerHz, clock.now())) : 0;
+        shifts.push(shift);
+        socket.write(command(COMMANDS.setFrequency, centerHz + shift));
+        logger.debug(`rtl_tcp tuned to ${centerHz + shift} Hz (Doppler ${shift} Hz)`);
+    };
+
+    const finish = (code, signal) => {
+        if (closed) return;
+        closed = true;
+        clock.clearInterval(retuneTimer);
+        capture.stdout.end();
+        if (shifts.length > 0) {
+            logger.info(`Doppler correction ranged from ${Math.min(...shifts)} to ${Math.max(...shifts)} Hz over ${shifts.length} retunes`);
+        }
+        capture.emit('close', code, signal);
+    };
+
+    socket.on('connect', () => {
+        logger.info(`Connected to rtl_tcp at ${host}:${port}, IQ at ${iqRate} Hz${rawIQ ? '' : `, audio at ${audioRate} Hz`}`);
+        socket.write(command(COMMANDS.setSampleRate, iqRate));
+        if (gain === undefined || gain === null || gain === 'auto') {
+            socket.write(command(COMMANDS.setGainMode, 0));
+        } else {
+            socket.write(command(COMMANDS.setGainMode, 1));
+            socket.write(command(COMMANDS.setGain, Math.round(parseFloat(gain) * 10)));
+        }
+        socket.write(command(COMMANDS.setAgcMode, 0));
+        retune();
+        if (satrec) {
+            retuneTimer = clock.setInterval(retune, (config.dopplerIntervalSeconds ?? 5) * 1000);
+        }
+    });
+
+    socket.on('data', (data) => {
+        // the server starts with a 12 byte header describing the tuner
+        let iq = data;
+        if (headerBytes < HEADER_BYTES) {
+            const skip = Math.min(HEADER_BYTES - headerBytes, iq.length);
+            if (headerBytes === 0 && iq.length >= 4 && iq.toString('ascii', 0, 4) !== 'RTL0') {
+                logger.warn('rtl_tcp server sent an unexpected header');
+            }
+            headerBytes += skip;
+            iq = iq.subarray(skip);
+        }
+        if (iq.length > 0 && !closed) {
+            capture.stdout.write(rawIQ ? iq : demodulator.process(iq));
+        }
+    });
+
+    socket.on('error', (error) => {
+        if (stopping) return;
+        capture.emit('error', error);
+        finish(1, null);
+    });
+
+    socket.on('close', () => {
+        if (!stopping) {
+            logger.error('rtl_tcp server closed the connection before the recording ended');
+        }
+        finish(stopping ? 0 : 1, null);
+    });
+
+    // stop like a child process would: close the connection and end the audio stream
+    capture.kill = () => {
+        stopping = true;
+        socket.end();
+        clock.setTimeout(() => socket.destroy(), 1000);
+        return true;
+    };
+
+    return capture;
+}
+
+module.exports = { startRtlTcpCapture, dopplerShift, COMMANDS };
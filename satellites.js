@@ -0,0 +1,105 @@
+// satellites.js
+// This module is the satellite catalog: which satellites the station records, and how
+// config.satellites lists them by name with their NORAD ID, frequency and Celestrak TLE group,
+// and the profile that says how a pass is captured and processed:
+//   apt  - NOAA APT: FM-demodulated audio, resampled to 11025 Hz, APT image decoding, quality check, FLAC compression,
+//          archiving and upload
+//   lrpt - Meteor-M LRPT: QPSK, so the raw IQ baseband is recorded and handed to SatDump for decoding
+// An entry may override the profile's sampleRate, postProcessing and (for lrpt) SatDump pipeline
+
+// how each profile captures a pass; `steps` lists what its postProcessing may contain, in the order they run
+const PROFILES = {
+    apt: {
+        modulation: 'fm',
+        output: 'audio',
+        sampleRate: null, // config.sampleRate
+        steps: ['resample', 'decode', 'quality', 'compress', 'archive', 'upload'],
+        postProcessing: ['resample', 'decode', 'quality', 'compress', 'archive', 'upload']
+    },
+    lrpt: {
+        modulation: 'qpsk',
+        output: 'iq',
+        sampleRate: '250k', // 3.5x the 72k symbol rate, and within what rtl_sdr can sample
+        pipeline: 'meteor_m2-x_lrpt', // the SatDump pipeline, meteor_m2-x_lrpt_80k for the 80k mode
+        steps: ['decode', 'archive', 'upload'],
+        postProcessing: ['decode', 'archive']
+    }
+};
+
+// NORAD IDs of the NOAA satellites, for configs that still use noaaFrequencies
+const NOAA_NORAD_IDS = {
+    'NOAA 15': 25338,
+    'NOAA 18': 28654,
+    'NOAA 19': 33591
+};
+
+// Function to list the satellites to record, with their profile filled in
+// a config that still has noaaFrequencies records those NOAA satellites with the apt profile
+function getCatalog(config) {
+    const entries = config.noaaFrequencies
+        ? Object.entries(config.noaaFrequencies).map(([name, frequency]) => [name, {
+            norad: NOAA_NORAD_IDS[name] ?? null,
+            frequency,
+            tleGroup: 'noaa',
+            profile: 'apt'
+        }])
+        : Object.entries(config.satellites ?? {});
+
+    return entries
+        .filter(([, entry]) => entry.enabled !== false)
+        .map(([name, entry]) => resolveEntry(name, entry, config));
+}
+
+// fill in a catalog entry from its profile
+function resolveEntry(name, entry, config) {
+    const profile = PROFILES[entry.profile ?? 'apt'];
+    return {
+        name,
+        norad: entry.norad ?? null,
+        frequency: entry.frequency,
+        tleGroup: entry.tleGroup ?? 'noaa',
+        profile: entry.profile ?? 'apt',
+        modulation: profile.modulation,
+        output: profile.output,
+        sampleRate: entry.sampleRate ?? profile.sampleRate ?? config.sampleRate ?? '48k',
+        postProcessing: entry.postProcessing ?? profile.postProcessing,
+        pipeline: entry.pipeline ?? profile.pipeline ?? null
+    };
+}
+
+/**
+ * Finds a satellite in the catalog by name.
+ * Satellites that aren't in the catalog (e.g. a manual recording of a frequency) are recorded with the apt profile.
+ * @param {object} config - The station configuration
+ * @param {string} name - The satellite name as used in passes.json
+ * @param {string} [frequency] - The frequency to record, for satellites that aren't in the catalog
+ * @returns {object} - { name, norad, frequency, tleGroup, profile, modulation, output, sampleRate, postProcessing, pipeline }
+ */
+function findSatellite(config, name, frequency) {
+    return getCatalog(config).find(entry => entry.name === name)
+        ?? resolveEntry(name, { frequency, profile: 'apt' }, config);
+}
+
+// Function to get the NORAD catalog number from line 1 of a TLE
+function tleNorad(line1) {
+    return parseInt(line1.substring(2, 7), 10);
+}
+
+// Function to find a catalog entry's TLE in a list of parsed TLEs, by NORAD ID or else by name
+function findTLE(tles, entry) {
+    if (entry.norad) {
+        const byNorad = tles.find(tle => tleNorad(tle.line1) === entry.norad);
+        if (byNorad) {
+            return byNorad;
+        }
+    }
+    return tles.find(tle => tle.name.startsWith(entry.name)) ?? null;
+}
+
+module.exports = {
+    PROFILES,
+    getCatalog,
+    findSatellite,
+    findTLE,
+    tleNorad
+};
@@ -1,5 +1,7 @@
 // scheduler.js
 // this is the main app which schedules recordings based on the passes data
+// it keeps running, re-planning a rolling horizon of upcoming passes and refreshing predictions periodically
+// simulate.js runs the same scheduler with a virtual clock (see startScheduler and events below)
 // to do:
 // passes stuff can be moved back to local storage
 
@@ -7,55 +9,104 @@ const packageJson = require('./package.json');
 const VERSION = packageJson.version;
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const Logger = require('./logger');
+const clock = require('./clock');
+const { getCatalog } = require('./satellites');
 const { isRecording, startRecording } = require('./recorder');
-const { printLCD, clearLCD, startMarquee } = require('./lcd');
-const { findConfigFile, loadConfig, saveConfig, getConfigPath } = require('./config');
+const { printLCD, showStatus, startMarquee, stopMarquee, configureDisplay } = require('./lcd');
+const { findConfigFile, loadConfig, loadValidatedConfig, saveConfig, getConfigPath, redactConfig, watchConfig } = require('./config');
+const { startApiServer } = require('./api');
+const { startOutboxWorker } = require('./outbox');
 const { checkWifiConnection } = require('./wifi');
-const { checkDisk, deleteOldestRecordings } = require('./disk');
+const { applyRetention } = require('./disk');
+const { writePassExports } = require('./export');
+const { startPassTracking } = require('./rotator');
 const {
     updatePasses,
-    findTopMaxElevationPasses,
+    findUpcomingPasses,
     ensurePassesFileExists,
     readPassesFile,
+    markPass,
+    resolveConflicts,
+    passKey,
+    passStartTime,
+    willOverlapReboot,
 } = require('./passes');
 const axios = require('axios');
 
 let logger;
 let config;
+let passesFilePath;
+let refreshPending = false;
+let replanInterval;
+let refreshInterval;
+let retentionInterval;
+let outboxWorker = null;
+let stopWatchingConfig = null;
+let schedulerOptions = {};
+let rotatorTracking = null;
+
+// what happens to passes, for simulate.js: 'planned' (pass), 'unplanned' (pass), 'skipped' (pass, reason), 'recording' (pass)
+const events = new EventEmitter();
+
+// config keys that change the pass predictions, and keys that only change which passes are picked
+const PREDICTION_KEYS = ['locLat', 'locLon', 'locAlt', 'satellites', 'noaaFrequencies', 'daysToPropagate', 'minElevation', 'horizon', 'maxDistance', 'bufferMinutes', 'predictionStepSeconds', 'trackStepSeconds', 'tleSources', 'tleFile'];
+const PLAN_KEYS = ['numberOfPassesPerDay', 'planningHorizonHours', 'conflictPolicy', 'preferredSatellites', 'rotator', 'rotatorLeadSeconds'];
+
+// timers for the passes currently in the plan (and for pointing the rotator at them), keyed by passKey()
+const scheduledPasses = new Map();
 
 async function main() {
     printLCD('booting up', 'groundstation');
 
     let configPath;
+    let configErrors;
 
     try {
         configPath = getConfigPath();
         console.log(`Config file path: ${configPath}`);
-        config = loadConfig();
-        if (!config) throw new Error('Failed to load configuration');
+        const result = loadValidatedConfig();
+        if (!result) throw new Error('Failed to load configuration');
+
+        configErrors = result.errors;
+        if (result.fatal) {
+            const fatalErrors = configErrors.map(({ key, message }) => `${key}: ${message}`).join(', ');
+            printLCD('config error', configErrors[0].key.substring(0, 16));
+            throw new Error(`Invalid configuration: ${fatalErrors}`);
+        }
+        config = result.config;
+        configureDisplay(config);
     } catch (error) {
         console.error(`Error loading configuration: ${error.message}`);
-        printLCD('config error', 'check log');
+        if (!error.message.startsWith('Invalid configuration')) {
+            printLCD('config error', 'check log');
+        }
         process.exit(1);
     }
 
-    // print config without password and auth_token
-    const obscuredConfig = { ...config };
-    obscuredConfig.wifiPassword = '********';
-    obscuredConfig.auth_token = '********';
-    console.log(obscuredConfig);
+    // print config without passwords and tokens
+    console.log(redactConfig(config));
 
     // indicate on LCD that config is loaded
     printLCD('config loaded');
 
     // initialize the logger with the configuration
-    logger = new Logger(config);
+    logger = new Logger(config, 'scheduler');
     logger.info('Logger loaded');
     logger.info(`as user: ${process.getuid()}`); // Log the user ID of the process
     logger.info(`as group: ${process.getgid()}`); // Log the group ID of the process
     logger.info(`current working directory: ${process.cwd()}`); // Log the current working directory
 
+    // report config problems; invalid optional keys have been replaced by their defaults
+    if (configErrors.length > 0) {
+        configErrors.forEach(({ key, message }) => {
+            logger.error(`Config error in ${key}: ${message}`);
+        });
+        printLCD(`config: ${configErrors.length} error${configErrors.length > 1 ? 's' : ''}`, configErrors[0].key.substring(0, 16));
+        await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+
     // check Wi-Fi connection
     printLCD('checking', 'Wi-Fi...');
     try {
@@ -68,121 +119,397 @@ async function main() {
         process.exit(1);
     }
 
-    // Check disk space and delete oldest recordings if necessary
-    checkDisk(logger, config.saveDir, deleteOldestRecordings);
+    await startScheduler(config, logger);
+}
 
-    printLCD('updating', 'passes...');
-    await updatePasses(config, logger);
-    printLCD('passes', 'updated');
+/**
+ * Starts planning and recording passes with a loaded config.
+ * @param {object} stationConfig - The validated configuration
+ * @param {object} stationLogger - Your logger instance
+ * @param {object} [options] - { api, watchConfig, checkWifi }, all true by default; simulate.js turns them off
+ */
+async function startScheduler(stationConfig, stationLogger, options = {}) {
+    config = stationConfig;
+    logger = stationLogger;
+    schedulerOptions = options;
+    refreshPending = false;
 
-    const passesFilePath = path.resolve(config.saveDir, config.passesFile);
+    // make room on the USB stick before anything is recorded
+    enforceRetention();
+
+    passesFilePath = path.resolve(config.saveDir, config.passesFile);
 
     // Ensure the passes file exists
     ensurePassesFileExists(passesFilePath, logger);
 
+    // start draining the upload outbox, including uploads left over from before a reboot
+    outboxWorker = startOutboxWorker(() => config, logger.child('upload'));
+
+    // start the local status/control API
+    if (options.api ?? true) {
+        startApiServer(() => config, logger.child('api'), {
+            getPlan,
+            refreshPasses,
+            skipPass,
+            recordNow
+        });
+    }
+
+    printLCD('updating', 'passes...');
+    await refreshPasses();
+    printLCD('passes', 'updated');
+
+    printLCD('ground station', `ready! :D v${VERSION}`);
+    clock.setTimeout(showNextRecording, 60000);
+
+    // keep planning: re-plan the horizon regularly and refresh TLEs/predictions less often
+    armIntervals();
+
+    // pick up edits to ow-config.json, or a different USB stick, without a reboot
+    if (options.watchConfig ?? true) {
+        stopWatchingConfig = watchConfig(applyConfig, logger.child('config'), (config.configWatchSeconds ?? 10) * 1000);
+    }
+}
+
+// Stop planning: disarm the pass timers and intervals, stop the config watcher and the upload worker
+// A recording that is already running is not stopped
+function stopScheduler() {
+    clock.clearInterval(replanInterval);
+    clock.clearInterval(refreshInterval);
+    clock.clearInterval(retentionInterval);
+    for (const scheduled of scheduledPasses.values()) {
+        clock.clearTimeout(scheduled.timer);
+        clock.clearTimeout(scheduled.rotatorTimer);
+        events.emit('unplanned', scheduled.pass);
+    }
+    scheduledPasses.clear();
+    stopRotator();
+
+    if (stopWatchingConfig) {
+        stopWatchingConfig();
+        stopWatchingConfig = null;
+    }
+    if (outboxWorker) {
+        outboxWorker.stop();
+        outboxWorker = null;
+    }
+    logger.info('Scheduler stopped');
+}
+
+// (Re-)arm the re-plan, refresh and retention intervals from the current config
+function armIntervals() {
+    clock.clearInterval(replanInterval);
+    clock.clearInterval(refreshInterval);
+    clock.clearInterval(retentionInterval);
+
+    const replanMinutes = config.replanIntervalMinutes ?? 30;
+    const refreshHours = config.tleRefreshHours ?? 12;
+    const retentionMinutes = config.retentionIntervalMinutes ?? 60;
+
+    replanInterval = clock.setInterval(() => {
+        // an unreadable passes file or a missing USB stick mustn't stop the scheduler, the next re-plan tries again
+        try {
+            planPasses();
+        } catch (error) {
+            logger.error(`Error planning passes: ${error.message}`);
+        }
+    }, replanMinutes * 60 * 1000);
+
+    refreshInterval = clock.setInterval(async () => {
+        if (schedulerOptions.checkWifi ?? true) {
+            try {
+                await checkWifiConnection(config);
+            } catch (error) {
+                logger.error(`Wi-Fi not available for pass refresh: ${error.message}`);
+            }
+        }
+        refreshPasses().catch((error) => {
+            logger.error(`Error refreshing passes: ${error.message}`);
+        });
+    }, refreshHours * 60 * 60 * 1000);
+
+    retentionInterval = clock.setInterval(enforceRetention, retentionMinutes * 60 * 1000);
+
+    logger.info(`Scheduler running: re-planning every ${replanMinutes} minutes, refreshing passes every ${refreshHours} hours, applying the retention policy every ${retentionMinutes} minutes`);
+}
+
+// Delete old recordings by the retention policy, resolves when done; errors are logged
+function enforceRetention() {
+    return applyRetention(config, logger.child('disk')).catch((error) => {
+        logger.error(`Error applying the retention policy: ${error.message}`);
+    });
+}
+
+// Apply a reloaded config: swap it in, then re-predict or re-plan depending on what changed
+// A recording in progress keeps the config it was started with
+function applyConfig(result) {
+    const previous = config;
+    const changed = (keys) => keys.filter(key => JSON.stringify(previous[key]) !== JSON.stringify(result.config[key]));
+
+    config = result.config;
+    configureDisplay(config);
+    result.errors.forEach(({ key, message }) => {
+        logger.error(`Config error in ${key}: ${message}`);
+    });
+
+    if (previous.saveDir !== config.saveDir || previous.logFile !== config.logFile) {
+        logger.reconfigure(config);
+        passesFilePath = path.resolve(config.saveDir, config.passesFile);
+        ensurePassesFileExists(passesFilePath, logger);
+    }
+
+    if (previous.replanIntervalMinutes !== config.replanIntervalMinutes || previous.tleRefreshHours !== config.tleRefreshHours ||
+        previous.retentionIntervalMinutes !== config.retentionIntervalMinutes) {
+        armIntervals();
+    }
+
+    if (previous.apiPort !== config.apiPort || previous.apiHost !== config.apiHost) {
+        logger.warn('apiPort/apiHost changed, restart the station to apply');
+    }
+
+    const predictionChanges = changed(PREDICTION_KEYS);
+    const planChanges = changed(PLAN_KEYS);
+    printLCD('config', 'reloaded');
+
+    if (predictionChanges.length > 0 || previous.saveDir !== config.saveDir) {
+        logger.info(`Config changes affect predictions (${predictionChanges.join(', ') || 'saveDir'}), refreshing passes`);
+        refreshPasses().catch((error) => {
+            logger.error(`Error refreshing passes: ${error.message}`);
+        });
+    } else if (planChanges.length > 0) {
+        logger.info(`Config changes affect the plan (${planChanges.join(', ')}), re-planning`);
+        planPasses();
+    } else {
+        logger.info('Config reloaded, the pass plan is unchanged');
+    }
+}
+
+// Refresh TLEs and pass predictions, then re-plan
+async function refreshPasses() {
+    // don't rewrite the passes file while a pass is being recorded, try again at the next refresh
+    if (isRecording()) {
+        logger.info('Recording in progress, postponing pass refresh');
+        refreshPending = true;
+        return;
+    }
+    refreshPending = false;
+
+    await updatePasses(config, logger.child('tle'));
+    planPasses();
+}
+
+// Select the passes within the planning horizon and (re-)arm their timers
+function planPasses() {
+    // a refresh that was postponed during a recording runs (and re-plans) as soon as the recorder is free
+    if (refreshPending && !isRecording()) {
+        refreshPasses().catch((error) => {
+            logger.error(`Error refreshing passes: ${error.message}`);
+        });
+        return;
+    }
+
     // Read and parse the passes file
     const passes = readPassesFile(passesFilePath, logger);
 
-    // Get the number of passes to record from config, default to 1
+    // Get the number of passes to record per day from config, default to 1
     const numberOfPassesToRecord = config.numberOfPassesPerDay ?? 1;
+    const horizonHours = config.planningHorizonHours ?? 24;
+
+    const candidates = findUpcomingPasses(passes, numberOfPassesToRecord, horizonHours, clock.now()).filter(pass => {
+        // Skip passes overlapping the daily reboot window
+        if (willOverlapReboot(passStartTime(pass), pass.duration)) {
+            logger.info(
+                `Skipping pass due to reboot overlap: ${pass.satellite} starts at ${pass.date} ${pass.time} for ${pass.duration}m.`
+            );
+            events.emit('skipped', pass, 'overlaps the daily reboot window');
+            return false;
+        }
+        return true;
+    });
+
+    // resolve overlapping passes and record the decisions in the passes file
+    const { plan, skipped, trimmed } = resolveConflicts(candidates, config, logger);
+    skipped.forEach(({ pass, reason }) => {
+        markPass(passesFilePath, pass, { skipped: true, skipReason: reason }, logger);
+        events.emit('skipped', pass, reason);
+    });
+    trimmed.forEach(({ pass, minutes }) => {
+        // trimmedMinutes adds up, a pass predicted again is trimmed by all of it (see carryOverPassState())
+        markPass(passesFilePath, pass, { duration: pass.duration, trimmedMinutes: Number(((pass.trimmedMinutes ?? 0) + minutes).toFixed(2)) }, logger);
+    });
+
+    const planKeys = new Set(plan.map(passKey));
+
+    // disarm timers for passes that dropped out of the plan
+    for (const [key, scheduled] of scheduledPasses) {
+        if (!planKeys.has(key)) {
+            clock.clearTimeout(scheduled.timer);
+            clock.clearTimeout(scheduled.rotatorTimer);
+            scheduledPasses.delete(key);
+            logger.info(`Unscheduled recording for ${scheduled.pass.satellite} at ${scheduled.pass.date} ${scheduled.pass.time}`);
+            events.emit('unplanned', scheduled.pass);
+        }
+    }
 
-    // Find the top X max elevation passes
-    const topMaxElevationPasses = findTopMaxElevationPasses(passes, numberOfPassesToRecord);
+    // arm timers for passes that are new to the plan
+    for (const pass of plan) {
+        const key = passKey(pass);
+        if (scheduledPasses.has(key)) {
+            // keep the armed timer but pick up changes such as a trimmed duration
+            scheduledPasses.get(key).pass = pass;
+            armRotator(scheduledPasses.get(key));
+            continue;
+        }
 
-    logger.info(`Top ${numberOfPassesToRecord} max elevation passes of the day:`);
-    logger.info(JSON.stringify(topMaxElevationPasses, null, 2));
+        const delay = passStartTime(pass) - clock.now();
+        const timer = clock.setTimeout(async () => {
+            const scheduled = scheduledPasses.get(key);
+            scheduledPasses.delete(key);
+            showNextRecording();
+            try {
+                await handleRecording(scheduled.pass);
+            } catch (error) {
+                logger.error(`Error recording ${pass.satellite} at ${pass.date} ${pass.time}: ${error.message}`);
+            }
+        }, delay);
+
+        scheduledPasses.set(key, { pass, timer });
+        armRotator(scheduledPasses.get(key));
+        logger.info(
+            `Scheduling recording for ${pass.satellite} at ${pass.date} ${pass.time} for ${pass.duration} minutes...`
+        );
+        events.emit('planned', pass);
+    }
 
-    printLCD('ground station', `ready! :D v${VERSION}`);
+    if (plan.length === 0) {
+        logger.info(`No valid passes found to record in the next ${horizonHours} hours.`);
+    }
 
-    if (topMaxElevationPasses && topMaxElevationPasses.length > 0) {
-        for (const pass of topMaxElevationPasses) {
-            const now = new Date();
-            const recordTime = new Date(`${pass.date} ${pass.time}`);
-            const delay = recordTime - now;
-
-            // 1) Check if pass time is near midnight
-            if (willOverlapReboot(recordTime)) {
-                logger.info(
-                    `Skipping pass due to reboot overlap: ${pass.satellite} starts at ${pass.date} ${pass.time} for ${pass.duration}m.`
-                );
-                continue;
-            }
+    // keep the calendar and spreadsheet exports in step with the plan
+    try {
+        writePassExports(config, readPassesFile(passesFilePath, logger), planKeys);
+    } catch (error) {
+        logger.error(`Could not export the passes: ${error.message}`);
+    }
 
-            // 2) If pass time is in the future, schedule it
-            if (delay > 0) {
-                setTimeout(async () => {
-                    await handleRecording(pass, now, passesFilePath, passes);
-                }, delay);
-
-                logger.info(
-                    `Scheduling recording for ${pass.satellite} at ${pass.date} ${pass.time} for ${pass.duration} minutes...`
-                );
-
-                // Print the next recording time on LCD in 24-hour format
-                const recordTimeString = recordTime.toLocaleTimeString('en-GB', { hour12: false });
-                setTimeout(() => {
-                    printLCD('Next recording', `${pass.satellite} at ${recordTimeString}`);
-                }, 60000);
-
-            } else {
-                logger.info(
-                    `The pass time for ${pass.satellite} is in the past, skipping recording.`
-                );
-            }
+    if (!isRecording()) {
+        showNextRecording();
+    }
+}
+
+// Arm the timer that points the rotator at a planned pass rotatorLeadSeconds before its recording starts
+function armRotator(scheduled) {
+    if (!config.rotator || scheduled.rotatorTimer) {
+        return;
+    }
+    const delay = passStartTime(scheduled.pass) - clock.now() - (config.rotatorLeadSeconds ?? 60) * 1000;
+    scheduled.rotatorTimer = clock.setTimeout(() => {
+        // the rotator may have been turned off since the timer was armed
+        if (!config.rotator) {
+            return;
         }
+        stopRotator();
+        rotatorTracking = startPassTracking(scheduled.pass, config, logger.child('rotator'));
+    }, Math.max(0, delay));
+}
+
+// Stop pointing the rotator at a pass and park it
+function stopRotator() {
+    if (rotatorTracking) {
+        rotatorTracking.stop();
+        rotatorTracking = null;
+    }
+}
+
+// Get the passes that currently have armed timers, soonest first
+function getPlan() {
+    return [...scheduledPasses.entries()]
+        .map(([key, scheduled]) => ({ key, ...scheduled.pass }))
+        .sort((a, b) => passStartTime(a) - passStartTime(b));
+}
+
+// Skip a planned pass by its key, returns false if no such pass is scheduled
+function skipPass(key) {
+    const scheduled = scheduledPasses.get(key);
+    if (!scheduled) {
+        return false;
+    }
+
+    clock.clearTimeout(scheduled.timer);
+    clock.clearTimeout(scheduled.rotatorTimer);
+    if (rotatorTracking && passKey(rotatorTracking.pass) === key) {
+        stopRotator();
+    }
+    scheduledPasses.delete(key);
+    markPass(passesFilePath, scheduled.pass, { skipped: true, skipReason: 'skipped manually' }, logger);
+    events.emit('skipped', scheduled.pass, 'skipped manually');
+    logger.info(`Skipped ${key} manually`);
+    return true;
+}
+
+// Start a manual recording right away, by satellite name or frequency
+function recordNow({ satellite, frequency, minutes }) {
+    const recordFrequency = frequency ?? getCatalog(config).find(entry => entry.name === satellite)?.frequency;
+    if (!recordFrequency) {
+        logger.error(`Manual recording: unknown satellite ${satellite}`);
+        return false;
+    }
+
+    logger.info(`Manual recording of ${satellite ?? recordFrequency} for ${minutes} minutes`);
+    enforceRetention();
+    return startRecording(recordFrequency, clock.now(), satellite ?? `manual-${recordFrequency}`, minutes, config, logger.child('recorder'));
+}
+
+// Show the next scheduled recording on the LCD in 24-hour format, between other messages
+function showNextRecording() {
+    const next = [...scheduledPasses.values()]
+        .map(scheduled => scheduled.pass)
+        .sort((a, b) => passStartTime(a) - passStartTime(b))[0];
+
+    if (next) {
+        const recordTimeString = passStartTime(next).toLocaleTimeString('en-GB', { hour12: false });
+        showStatus('Next recording', `${next.satellite} at ${recordTimeString}`);
     } else {
-        logger.info('No valid passes found to record.');
+        showStatus('no passes', 'scheduled');
     }
 }
 
-async function handleRecording(item, now, passesFilePath, jsonData) {
-    const recordTime = new Date(`${item.date} ${item.time}`);
+async function handleRecording(item) {
+    const recordTime = passStartTime(item);
     logger.info(
         `Recording ${item.satellite} at ${item.date} ${item.time} for ${item.duration} minutes...`
     );
 
-    startRecording(item.frequency, recordTime, item.satellite, item.duration, config, logger);
+    // make room for the recording first
+    await enforceRetention();
+
+    const started = startRecording(item.frequency, recordTime, item.satellite, item.duration, config, logger.child('recorder'), item);
+    if (!started) {
+        logger.error(`Recorder busy, skipping ${item.satellite} at ${item.date} ${item.time}`);
+        markPass(passesFilePath, item, { skipped: true, skipReason: 'recorder busy with another recording' }, logger);
+        events.emit('skipped', item, 'recorder busy with another recording');
+        return;
+    }
+    events.emit('recording', item);
 
-    const marqueeInterval = startMarquee(
+    const marquee = startMarquee(
         `Recording ${item.satellite} at ${item.date} ${item.time} for ${item.duration} minutes...`,
         500
     );
-    setTimeout(() => {
-        clearInterval(marqueeInterval);
-        clearLCD();
+    clock.setTimeout(() => {
         printLCD('done recording');
+        stopMarquee(marquee);
     }, item.duration * 60000);
 
-    item.recorded = true;
-
-    // Write the updated jsonData to the passes file
-    fs.writeFileSync(passesFilePath, JSON.stringify(jsonData, null, 2));
+    // Mark the pass as recorded in the passes file
+    markPass(passesFilePath, item, { recorded: true }, logger);
 }
 
-/**
- * Returns true if the pass [passStart, passEnd) overlaps the 2:50-3:10 window.
- */
-function willOverlapReboot(passStart, durationMinutes) {
-    // Convert pass times to timestamps
-    const passStartMs = passStart.getTime();
-    const passEndMs = passStartMs + durationMinutes * 60_000; // convert min -> ms
-
-    // Build the daily buffer window for the same date as passStart
-    const year = passStart.getFullYear();
-    const month = passStart.getMonth();
-    const day = passStart.getDate();
-
-    // 2:50 AM
-    const bufferStart = new Date(year, month, day, 2, 50).getTime();
-
-    // 3:10 AM
-    const bufferEnd = new Date(year, month, day, 3, 10).getTime();
-
-    // Overlap if passStart < bufferEnd and passEnd > bufferStart
-    return passStartMs < bufferEnd && passEndMs > bufferStart;
+if (require.main === module) {
+    main().catch((err) => {
+        console.error(`Error in main execution: ${err.message}`);
+        if (logger) logger.error(`Error in main execution: ${err.message}`);
+    });
+} else {
+    module.exports = { startScheduler, stopScheduler, events, willOverlapReboot };
 }
-
-main().catch((err) => {
-    console.error(`Error in main execution: ${err.message}`);
-    if (logger) logger.error(`Error in main execution: ${err.message}`);
-});
@@ -0,0 +1,352 @@
+// schema.js
+// This module declares the keys ow-config.json may contain, with their types and allowed ranges,
+// and validates a loaded config against them. Missing keys are filled in from default.config.json.
+
+const fs = require('fs');
+const defaults = require('./default.config.json');
+const { PROFILES, getCatalog } = require('./satellites');
+
+// frequencies are written like rtl_fm expects them, e.g. "137.1M" or "137100000"
+const FREQUENCY_PATTERN = /^\d+(\.\d+)?[kM]?$/;
+
+// parse "48k" / "1.024M" / 48000 to Hz
+function parseRate(value) {
+    const match = String(value).match(/^(\d+(?:\.\d+)?)([kM]?)$/);
+    if (!match) return NaN;
+    const multiplier = { '': 1, k: 1e3, M: 1e6 }[match[2]];
+    return parseFloat(match[1]) * multiplier;
+}
+
+// RTL-SDR dongles tune roughly from 24 MHz to 1.7 GHz
+function checkFrequency(value) {
+    if (!FREQUENCY_PATTERN.test(String(value))) {
+        return `"${value}" is not a frequency like "137.1M"`;
+    }
+    const hz = parseRate(value);
+    if (hz < 24e6 || hz > 1.8e9) {
+        return `"${value}" is outside the SDR's tuning range, did you forget the "M"?`;
+    }
+    return null;
+}
+
+// check one config.satellites entry, returns an error message or null
+function checkSatellite(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return 'must be an object';
+    if (!Number.isInteger(entry.norad) || entry.norad <= 0) return 'norad must be a NORAD catalog number';
+    const frequencyError = checkFrequency(entry.frequency);
+    if (frequencyError) return frequencyError;
+    const profile = PROFILES[entry.profile ?? 'apt'];
+    if (!profile) return `profile must be one of ${Object.keys(PROFILES).join(', ')}`;
+    if (entry.tleGroup !== undefined && typeof entry.tleGroup !== 'string') return 'tleGroup must be a Celestrak group name';
+    if (entry.sampleRate !== undefined && isNaN(parseRate(entry.sampleRate))) return `"${entry.sampleRate}" is not a sample rate like "48k"`;
+    if (entry.postProcessing !== undefined) {
+        if (!Array.isArray(entry.postProcessing)) return 'postProcessing must be a list of steps';
+        const unknown = entry.postProcessing.find(step => !profile.steps.includes(step));
+        if (unknown) return `postProcessing step "${unknown}" is not one of ${profile.steps.join(', ')}`;
+    }
+    if (entry.pipeline !== undefined && typeof entry.pipeline !== 'string') return 'pipeline must be a SatDump pipeline name';
+    if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') return 'enabled must be true or false';
+    return null;
+}
+
+function checkExecutable(value) {
+    if (!fs.existsSync(value)) {
+        return `${value} does not exist`;
+    }
+    return null;
+}
+
+// Function to list the tool paths the station runs with this config, only those have to exist
+// audio is always captured with sdrBackend (a manual recording is an apt pass), IQ for lrpt entries needs rtl_sdr
+// unless the backend delivers IQ itself
+function usedExecutables(config) {
+    const backend = config.sdrBackend ?? 'rtl_fm';
+    const used = new Set([`${backend}_path`]);
+    for (const entry of getCatalog(config)) {
+        if (entry.output === 'iq' && ['rtl_fm', 'rx_fm'].includes(backend)) used.add('rtl_sdr_path');
+        if (entry.profile === 'lrpt' && entry.postProcessing.includes('decode')) used.add('satdump_path');
+    }
+    if ((config.downsample ?? true) || config.compressAudio) used.add('sox_path');
+    return used;
+}
+
+// type is one of number, integer, string, boolean, object, array
+// required keys must be in ow-config.json itself, all others fall back to default.config.json
+// executable paths must exist, but only for the tools the config uses (see usedExecutables())
+const SCHEMA = {
+    wifiName: { type: 'string' },
+    wifiPassword: { type: 'string' },
+    auth_token: { type: 'string' },
+    myID: { type: 'integer', required: true, min: 0 },
+    locLat: { type: 'number', required: true, min: -90, max: 90 },
+    locLon: { type: 'number', required: true, min: -180, max: 180 },
+    locAlt: { type: 'number', min: -500, max: 9000 },
+    gain: { type: 'number', min: 0, max: 50 },
+    sampleRate: {
+        type: ['string', 'number'],
+        validate: value => {
+            const rate = parseRate(value);
+            if (isNaN(rate)) return `"${value}" is not a sample rate like "48k"`;
+            if (rate < 8000 || rate > 3.2e6) return `${value} is outside 8k..3.2M`;
+            return null;
+        }
+    },
+    downsample: { type: 'boolean' },
+    decodeImage: { type: 'boolean' },
+    uploadImage: { type: 'boolean' },
+    analyseQuality: { type: 'boolean' },
+    minUploadQuality: { type: 'number', min: 0, max: 100 },
+    compressAudio: { type: 'boolean' },
+    compressRaw: { type: 'boolean' },
+    compressDeleteOriginals: { type: 'boolean' },
+    archiveRecordings: { type: 'boolean' },
+    processingTimeoutMinutes: { type: 'number', min: 1 },
+    maxDistance: { type: 'number', min: 0 },
+    daysToPropagate: { type: 'number', min: 1, max: 14 },
+    minElevation: { type: 'number', min: 0, max: 90 },
+    horizon: { type: 'number', min: -5, max: 45 },
+    predictionStepSeconds: { type: 'number', min: 5, max: 300 },
+    trackStepSeconds: { type: 'number', min: 1, max: 300 },
+    bufferMinutes: { type: 'number', min: 0, max: 30 },
+    satellites: {
+        type: 'object',
+        validate: value => {
+            const names = Object.keys(value);
+            if (names.length === 0) return 'no satellites listed';
+            for (const name of names) {
+                const error = checkSatellite(value[name]);
+                if (error) return `${name}: ${error}`;
+            }
+            return null;
+        }
+    },
+    // the list of satellites before config.satellites, still honoured when set
+    noaaFrequencies: {
+        type: 'object',
+        validate: value => {
+            const names = Object.keys(value);
+            if (names.length === 0) return 'no satellites listed';
+            for (const name of names) {
+                const error = checkFrequency(value[name]);
+                if (error) return `${name}: ${error}`;
+            }
+            return null;
+        }
+    },
+    numberOfPassesPerDay: { type: 'integer', min: 1, max: 20 },
+    planningHorizonHours: { type: 'number', min: 1, max: 240 },
+    replanIntervalMinutes: { type: 'number', min: 1, max: 1440 },
+    tleRefreshHours: { type: 'number', min: 1, max: 168 },
+    tleSources: {
+        type: 'array',
+        validate: value => {
+            const unknown = value.filter(source => !['celestrak', 'file', 'cache'].includes(source));
+            return unknown.length > 0 ? `unknown source(s): ${unknown.join(', ')}` : null;
+        }
+    },
+    tleFile: { type: 'string' },
+    tleCacheFile: { type: 'string' },
+    maxTleAgeDays: { type: 'number', min: 0 },
+    conflictPolicy: { type: 'string', enum: ['elevation', 'trim', 'satellite'] },
+    preferredSatellites: { type: 'array' },
+    retentionMinFreePercent: { type: 'number', min: 0, max: 90 },
+    retentionMaxSizeMB: { type: 'number', min: 0 },
+    retentionMaxAgeDays: { type: 'number', min: 0 },
+    retentionMaxRecordings: { type: 'integer', min: 0 },
+    retentionRawHours: { type: 'number', min: 0 },
+    retentionIntervalMinutes: { type: 'number', min: 1, max: 1440 },
+    passesFile: { type: 'string' },
+    exportFormats: {
+        type: 'array',
+        validate: value => {
+            const unknown = value.find(format => !['ics', 'csv', 'svg'].includes(format));
+            return unknown !== undefined ? `"${unknown}" is not an export format (ics, csv, svg)` : null;
+        }
+    },
+    saveDir: { type: 'string' },
+    logFile: { type: 'string' },
+    logLevel: { type: 'string', enum: ['debug', 'info', 'notice', 'warn', 'error'] },
+    logMaxSizeKB: { type: 'number', min: 16 },
+    logMaxAgeHours: { type: 'number', min: 1 },
+    logRetentionDays: { type: 'number', min: 1 },
+    logRetentionFiles: { type: 'integer', min: 1 },
+    logConsole: { type: 'boolean' },
+    rtl_fm_path: { type: 'string', executable: true },
+    sdrBackend: { type: 'string', enum: ['rtl_fm', 'rx_fm', 'rtl_sdr', 'rtl_tcp', 'replay'] },
+    rx_fm_path: { type: 'string', executable: true },
+    soapyDevice: { type: 'string' },
+    rtl_sdr_path: { type: 'string', executable: true },
+    saveIQ: { type: 'boolean' },
+    replayFile: { type: 'string' },
+    replaySpeed: { type: 'number', min: 0.1, max: 1000 },
+    replayLoop: { type: 'boolean' },
+    rtlTcpHost: { type: 'string' },
+    rtlTcpPort: { type: 'integer', min: 1, max: 65535 },
+    iqSampleRate: { type: 'integer', min: 225001, max: 3200000 },
+    deemphasis: { type: 'boolean' },
+    dopplerCorrection: { type: 'boolean' },
+    dopplerIntervalSeconds: { type: 'number', min: 1, max: 60 },
+    sox_path: { type: 'string', executable: true },
+    satdump_path: { type: 'string', executable: true },
+    display: { type: 'string', enum: ['auto', 'hd44780', 'hd44780-20x4', 'console', 'none'] },
+    displayBus: { type: 'integer', min: 0 },
+    displayAddress: {
+        type: ['integer', 'string'],
+        validate: value => (typeof value === 'string' && !/^(0x[0-9a-fA-F]+|\d+)$/.test(value)
+            ? `"${value}" is not an I2C address like "0x27"` : null)
+    },
+    displayCols: { type: 'integer', min: 8, max: 40 },
+    displayRows: { type: 'integer', min: 1, max: 4 },
+    displayMessageSeconds: { type: 'number', min: 0, max: 60 },
+    rotator: { type: 'boolean' },
+    rotatorHost: { type: 'string' },
+    rotatorPort: { type: 'integer', min: 1, max: 65535 },
+    rotatorMinAzimuth: { type: 'number', min: -360, max: 360 },
+    rotatorMaxAzimuth: { type: 'number', min: 0, max: 720 },
+    rotatorMinElevation: { type: 'number', min: -10, max: 90 },
+    rotatorMaxElevation: { type: 'number', min: 0, max: 180 },
+    rotatorFlip: { type: 'boolean' },
+    rotatorLeadSeconds: { type: 'number', min: 0, max: 600 },
+    rotatorUpdateSeconds: { type: 'number', min: 0.5, max: 60 },
+    rotatorTolerance: { type: 'number', min: 0, max: 20 },
+    rotatorParkAzimuth: { type: 'number', min: -360, max: 720 },
+    rotatorParkElevation: { type: 'number', min: -10, max: 180 },
+    apiPort: {
+        type: ['integer', 'boolean'],
+        validate: value => (value === true || (typeof value === 'number' && (value < 0 || value > 65535))
+            ? 'must be a port number (0-65535) or false' : null)
+    },
+    apiHost: { type: 'string' },
+    apiToken: { type: 'string' },
+    configWatchSeconds: { type: 'number', min: 1 },
+    outboxFile: { type: 'string' },
+    outboxIntervalSeconds: { type: 'number', min: 5 },
+    uploadRetryBaseSeconds: { type: 'number', min: 1 },
+    uploadRetryMaxSeconds: { type: 'number', min: 1 },
+    uploadMaxAttempts: { type: 'integer', min: 1 },
+    uploadDestinations: {
+        type: 'array',
+        validate: value => {
+            const types = ['open-weather', 'http', 's3', 'directory'];
+            const names = new Set();
+            for (const [index, destination] of value.entries()) {
+                if (!destination || !types.includes(destination.type)) {
+                    return `entry ${index}: type must be one of ${types.join(', ')}`;
+                }
+                if (destination.type === 'http' && !destination.url) return `entry ${index}: url is required`;
+                if (destination.type === 's3' && !destination.bucket) return `entry ${index}: bucket is required`;
+                if (destination.type === 'directory' && !destination.path) return `entry ${index}: path is required`;
+                if (destination.format !== undefined && !['original', 'flac', 'archive'].includes(destination.format)) {
+                    return `entry ${index}: format must be one of original, flac, archive`;
+                }
+                // the open-weather API only takes the recording itself
+                if (destination.type === 'open-weather' && (destination.format ?? 'original') !== 'original') {
+                    return `entry ${index}: open-weather only accepts format original`;
+                }
+                const name = destination.name ?? destination.type;
+                if (names.has(name)) return `entry ${index}: duplicate name ${name}`;
+                names.add(name);
+            }
+            return null;
+        }
+    }
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// check the type of a value against its schema entry, returns an error message or null
+function checkType(value, rule) {
+    const allowed = Array.isArray(rule.type) ? rule.type : [rule.type];
+    const actual = typeOf(value);
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+
+    return matches ? null : `expected ${allowed.join(' or ')}, got ${actual === 'integer' ? 'number' : actual} (${JSON.stringify(value)})`;
+}
+
+// check a single value against its schema entry, returns an error message or null
+function checkValue(value, rule) {
+    const typeError = checkType(value, rule);
+    if (typeError) {
+        return typeError;
+    }
+    if (rule.min !== undefined && typeof value === 'number' && value < rule.min) {
+        return `${value} is below the minimum of ${rule.min}`;
+    }
+    if (rule.max !== undefined && typeof value === 'number' && value > rule.max) {
+        return `${value} is above the maximum of ${rule.max}`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `"${value}" must be one of ${rule.enum.join(', ')}`;
+    }
+    return rule.validate ? rule.validate(value) : null;
+}
+
+/**
+ * Validates a config and fills in missing or invalid optional keys from default.config.json.
+ * @param {object} rawConfig - The config as read from ow-config.json
+ * @returns {object} - { config, errors: [{ key, message }], fatal } where fatal means a required key is missing or invalid
+ */
+function validateConfig(rawConfig) {
+    const errors = [];
+    const config = { ...rawConfig };
+    let fatal = false;
+
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+        const present = config[key] !== undefined && config[key] !== null;
+
+        if (!present) {
+            if (rule.required) {
+                errors.push({ key, message: 'required key is missing' });
+                fatal = true;
+            } else if (defaults[key] !== undefined) {
+                config[key] = defaults[key];
+            }
+            continue;
+        }
+
+        const message = checkValue(config[key], rule);
+        if (message) {
+            errors.push({ key, message });
+            if (rule.required) {
+                fatal = true;
+            } else if (defaults[key] !== undefined && checkValue(defaults[key], rule) === null) {
+                config[key] = defaults[key];
+            } else if (checkType(config[key], rule)) {
+                // a value of the wrong type would only crash later, a value out of range is kept as the user set it
+                delete config[key];
+            }
+        }
+    }
+
+    // tool paths are checked once the rest is valid, and only for the tools this config uses
+    for (const key of usedExecutables(config)) {
+        if (!SCHEMA[key]?.executable || config[key] === undefined) continue;
+        const message = checkExecutable(config[key]);
+        if (message) {
+            errors.push({ key, message });
+            if (defaults[key] !== undefined && checkExecutable(defaults[key]) === null) {
+                config[key] = defaults[key];
+            }
+        }
+    }
+
+    // keys the schema doesn't know about are usually typos
+    for (const key of Object.keys(rawConfig)) {
+        if (!SCHEMA[key]) {
+            errors.push({ key, message: 'unknown key (typo?), ignored' });
+        }
+    }
+
+    return { config, errors, fatal };
+}
+
+module.exports = {
+    SCHEMA,
+    validateConfig,
+    parseRate
+};
@@ -0,0 +1,270 @@
+/* sdr.js
+    This module hides how audio is captured from the radio behind one interface, so recorder.js
+    (and the SoX, upload and LCD steps after it) work the same whichever backend is configured.
+    config.sdrBackend picks the backend:
+        rtl_fm   - spawns rtl_fm, which demodulates FM itself (the default)
+        rx_fm    - spawns rx_fm from rx_tools, for any SoapySDR device
+        rtl_sdr  - spawns rtl_sdr for raw IQ and demodulates in JavaScript, optionally keeping the IQ
+        rtl_tcp  - connects to an rtl_tcp server and follows the Doppler shift (rtltcp.js)
+        replay   - streams a fixture file at real-time or accelerated speed, for testing without a dongle
+    Every backend produces signed 16-bit mono PCM at the configured sampleRate.
+    Profiles that are demodulated after the pass (lrpt, see satellites.js) ask for `output: 'iq'` instead and
+    get unsigned 8-bit IQ at their sample rate, from rtl_sdr (also used when rtl_fm or rx_fm is configured),
+    rtl_tcp or replay.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { FMDemodulator } = require('./dsp');
+const { parseRate } = require('./schema');
+const { readWav } = require('./wav');
+const { startRtlTcpCapture } = require('./rtltcp');
+const clock = require('./clock');
+
+const REPLAY_CHUNK_MS = 100;
+
+/**
+ * A running capture.
+ * `stream` carries the audio, `stop()` ends the capture,
+ * and it emits 'error' (Error) and 'exit' ({ code, signal, stopped }) once the backend has finished.
+ * `stopped` is true when the capture ended because stop() was called.
+ */
+class Capture extends EventEmitter {
+    constructor(backend) {
+        super();
+        this.backend = backend;
+        this.stream = new PassThrough();
+        this.stopRequested = false;
+        this.exited = false;
+        this.onStop = () => {};
+    }
+
+    stop() {
+        if (this.exited || this.stopRequested) return;
+        this.stopRequested = true;
+        this.onStop();
+    }
+
+    // called by the backends
+    exit(code, signal = null) {
+        if (this.exited) return;
+        this.exited = true;
+        this.stream.end();
+        this.emit('exit', { code, signal, stopped: this.stopRequested });
+    }
+
+    fail(error) {
+        this.emit('error', error);
+    }
+}
+
+// wrap something that behaves like a child process: stdout, stderr, kill(), 'error' and 'close'
+// the audio is read from `audio`, which is the process's stdout unless it has to be demodulated first
+function fromProcess(backend, child, logger, audio = child.stdout) {
+    const capture = new Capture(backend);
+    audio.pipe(capture.stream, { end: false });
+    if (child.stderr) {
+        child.stderr.on('data', (data) => {
+            logger.debug(`${backend} info: ${data}`);
+        });
+    }
+    child.on('error', (error) => {
+        capture.fail(error);
+        capture.exit(null);
+    });
+    child.on('close', (code, signal) => capture.exit(code, signal));
+    capture.onStop = () => child.kill();
+    return capture;
+}
+
+// FM demodulation of a process writing unsigned 8-bit IQ to stdout, optionally keeping the IQ in a file
+function fromIQProcess(backend, child, params, config, logger) {
+    const demodulator = new FMDemodulator({
+        inputRate: config.iqSampleRate ?? 240000,
+        outputRate: parseRate(params.sampleRate),
+        deemphasis: config.deemphasis ?? true
+    });
+    const audio = new PassThrough();
+    let iqFile = params.iqFile ? fs.createWriteStream(params.iqFile) : null;
+
+    // a full or failing USB stick only costs the IQ file, the audio keeps being captured
+    if (iqFile) {
+        iqFile.on('error', (error) => {
+            logger.error(`Could not write the IQ to ${params.iqFile}, no longer keeping it: ${error.message}`);
+            iqFile.destroy();
+            iqFile = null;
+        });
+    }
+
+    child.stdout.on('data', (chunk) => {
+        if (iqFile) iqFile.write(chunk);
+        audio.write(demodulator.process(chunk));
+    });
+    child.stdout.on('end', () => {
+        if (iqFile) iqFile.end();
+        audio.end();
+    });
+    return fromProcess(backend, child, logger, audio);
+}
+
+// rtl_sdr writes unsigned 8-bit IQ at iqRate to stdout
+function spawnRtlSdr(iqRate, params, config) {
+    return spawn(config.rtl_sdr_path ?? '/usr/local/bin/rtl_sdr', [
+        '-f', String(parseRate(params.frequency)),
+        '-s', String(iqRate),
+        '-g', String(params.gain),
+        '-'
+    ]);
+}
+
+const BACKENDS = {
+    rtl_fm: (params, config, logger) => fromProcess('rtl_fm', spawn(config.rtl_fm_path, [
+        '-f', params.frequency,       // Frequency
+        '-M', 'fm',                   // Modulation type
+        '-s', params.sampleRate,      // Sampling rate
+        '-l', '0',                    // Squelch level
+        '-g', String(params.gain),    // Gain
+        '-E', 'deemp',                // Enable de-emphasis filter
+        '-F', '9'                     // Set filtering mode
+    ]), logger),
+
+    // rx_fm takes the same options as rtl_fm, plus the SoapySDR device to open
+    rx_fm: (params, config, logger) => fromProcess('rx_fm', spawn(config.rx_fm_path ?? '/usr/local/bin/rx_fm', [
+        '-d', config.soapyDevice ?? 'driver=rtlsdr',
+        '-f', params.frequency,
+        '-M', 'fm',
+        '-s', params.sampleRate,
+        '-l', '0',
+        '-g', String(params.gain),
+        '-E', 'deemp',
+        '-F', '9',
+        '-'
+    ]), logger),
+
+    rtl_sdr: (params, config, logger) => {
+        const iqRate = Math.round((config.iqSampleRate ?? 240000) / parseRate(params.sampleRate)) * parseRate(params.sampleRate);
+        return fromIQProcess('rtl_sdr', spawnRtlSdr(iqRate, params, config), params, config, logger);
+    },
+
+    rtl_tcp: (params, config, logger) => fromProcess('rtl_tcp', startRtlTcpCapture(params, config, logger), logger),
+
+    replay: (params, config, logger) => startReplay(params, config, logger)
+};
+
+// backends for output 'iq': the samples are passed on as they come from the dongle
+const IQ_BACKENDS = {
+    rtl_sdr: (params, config, logger) => fromProcess('rtl_sdr', spawnRtlSdr(parseRate(params.sampleRate), params, config), logger),
+    rtl_tcp: BACKENDS.rtl_tcp,
+    replay: BACKENDS.replay
+};
+
+// Function to load a replay fixture as 16-bit PCM at the output rate
+// .wav files are resampled if needed, .iq/.cu8 files are FM-demodulated, anything else is taken as raw 16-bit PCM (like rtl_fm's output)
+function loadReplayAudio(file, params, config) {
+    const outputRate = parseRate(params.sampleRate);
+    const ext = path.extname(file).toLowerCase();
+
+    if (ext === '.wav') {
+        const { samples, sampleRate } = readWav(file);
+        const ratio = sampleRate / outputRate;
+        const count = Math.floor(samples.length / ratio);
+        const pcm = Buffer.alloc(count * 2);
+        for (let i = 0; i < count; i++) {
+            const pos = i * ratio;
+            const index = Math.min(Math.floor(pos), samples.length - 2);
+            const frac = pos - index;
+            const value = samples[index] * (1 - frac) + samples[index + 1] * frac;
+            pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value * 32767))), i * 2);
+        }
+        return pcm;
+    }
+
+    if (ext === '.iq' || ext === '.cu8') {
+        const demodulator = new FMDemodulator({
+            inputRate: config.iqSampleRate ?? 240000,
+            outputRate,
+            deemphasis: config.deemphasis ?? true
+        });
+        return demodulator.process(fs.readFileSync(file));
+    }
+
+    return fs.readFileSync(file);
+}
+
+// stream a fixture file as if it came from the radio, at config.replaySpeed times real time (or the simulation's virtual time)
+function startReplay(params, config, logger) {
+    const capture = new Capture('replay');
+    const file = config.replayFile;
+    const speed = config.replaySpeed ?? 1;
+
+    let audio;
+    try {
+        if (!file) throw new Error('replayFile is not set in the config');
+        // an IQ capture replays the file as it is
+        audio = params.output === 'iq' ? fs.readFileSync(file) : loadReplayAudio(file, params, config);
+    } catch (error) {
+        process.nextTick(() => {
+            capture.fail(error);
+            capture.exit(1);
+        });
+        return capture;
+    }
+
+    logger.info(`Replaying ${file} (${(audio.length / 2 / parseRate(params.sampleRate)).toFixed(1)} s of ${params.output === 'iq' ? 'IQ' : 'audio'}) at ${speed}x`);
+    const bytesPerChunk = Math.max(2, Math.round(parseRate(params.sampleRate) * speed * REPLAY_CHUNK_MS / 1000) * 2);
+    let offset = 0;
+
+    const timer = clock.setInterval(() => {
+        if (offset >= audio.length) {
+            if (!config.replayLoop) {
+                clock.clearInterval(timer);
+                logger.info('Replay reached the end of the file');
+                capture.exit(0);
+                return;
+            }
+            offset = 0;
+        }
+        capture.stream.write(audio.subarray(offset, offset + bytesPerChunk));
+        offset += bytesPerChunk;
+    }, REPLAY_CHUNK_MS);
+
+    capture.onStop = () => {
+        clock.clearInterval(timer);
+        capture.exit(0);
+    };
+    return capture;
+}
+
+/**
+ * Starts capturing with the backend chosen by config.sdrBackend.
+ * @param {object} params - { frequency, sampleRate, gain, satellite, iqFile, output } where iqFile is where rtl_sdr keeps the raw IQ (optional)
+ *                          and output 'iq' asks for the IQ samples instead of audio
+ * @param {object} config - The station configuration
+ * @param {object} logger - Your logger instance
+ * @returns {Capture} - The running capture
+ */
+function startCapture(params, config, logger) {
+    const name = config.sdrBackend ?? 'rtl_fm';
+    if (!BACKENDS[name]) {
+        throw new Error(`Unknown SDR backend: ${name}`);
+    }
+
+    if (params.output === 'iq') {
+        // rtl_fm and rx_fm only deliver demodulated audio
+        const iqName = IQ_BACKENDS[name] ? name : 'rtl_sdr';
+        logger.info(`Capturing IQ at ${params.frequency} with the ${iqName} backend${iqName !== name ? ` (${name} can't capture IQ)` : ''}`);
+        return IQ_BACKENDS[iqName](params, config, logger);
+    }
+
+    logger.info(`Capturing ${params.frequency} with the ${name} backend`);
+    return BACKENDS[name](params, config, logger);
+}
+
+module.exports = {
+    startCapture,
+    Capture,
+    BACKENDS
+};
@@ -0,0 +1,379 @@
+// simulate.js
+// Runs the scheduler against a virtual clock, to test scheduling changes without a Pi, a dongle or waiting for passes
+// It plans, records and uploads a day or a week of passes from a fixed TLE set in a few minutes:
+// recordings come from the replay SDR backend, LCD messages are printed to the console, and uploads
+// go to a local fake upload server (fake-upload-server.js). With "rotator": true the rotator is pointed at a
+// local fake rotctld (fake-rotctld.js). The daily 3:00 reboot is simulated too.
+// At the end it reports which passes were planned, recorded, skipped and uploaded.
+//   node simulate.js --tle tle.txt [--start 2026-10-20] [--days 1 | --week] [--speed 1440] [--audio pass.wav]
+//                    [--config ow-config.json] [--set key=value ...] [--tz Europe/Berlin] [--dir /tmp/sim]
+//                    [--upload-failures 0.2] [--no-reboot] [--verbose]
+
+// the timezone has to be set before anything works with local times
+const tzIndex = process.argv.indexOf('--tz');
+if (tzIndex !== -1) {
+    process.env.TZ = process.argv[tzIndex + 1];
+}
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const clock = require('./clock');
+const Logger = require('./logger');
+const { validateConfig, parseRate } = require('./schema');
+const { configureDisplay } = require('./lcd');
+const { startScheduler, stopScheduler, events } = require('./scheduler');
+const { isRecording } = require('./recorder');
+const { startOutboxWorker, listOutbox, isUploading } = require('./outbox');
+const { passKey, passStartTime, samePass } = require('./passes');
+const { startFakeUploadServer } = require('./fake-upload-server');
+const { startFakeRotctld } = require('./fake-rotctld');
+const { rotatorLimits } = require('./rotator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SPEED = 1440;          // a day per minute
+const REBOOT_HOUR = 3;               // the cron job in start_scheduler.sh reboots the station at 3:00
+const REBOOT_MINUTES = 3;            // until start_scheduler.sh has started the scheduler again
+const SILENCE_SECONDS = 10;
+const DRAIN_TIMEOUT_MS = 5 * 60 * 1000; // real time to wait for the last recording and uploads at the end
+const SCHEDULER_OPTIONS = { api: false, watchConfig: false, checkWifi: false };
+
+const USAGE = `usage: node simulate.js --tle <tle-file> [--start YYYY-MM-DD[THH:mm]] [--days 1 | --week] [--speed ${DEFAULT_SPEED}]
+                        [--audio <file>] [--config <ow-config.json>] [--set key=value ...] [--tz <timezone>]
+                        [--dir <output-dir>] [--upload-failures 0-1] [--no-reboot] [--verbose]`;
+
+// parse the command line, --set can be given several times and takes JSON values (strings don't need quotes)
+function parseArgs(argv) {
+    const options = {
+        tle: null, start: null, days: 1, speed: DEFAULT_SPEED, audio: null, config: null, set: {},
+        tz: null, dir: null, uploadFailures: 0, reboot: true, verbose: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--week': options.days = 7; break;
+            case '--no-reboot': options.reboot = false; break;
+            case '--verbose': options.verbose = true; break;
+            case '--days': options.days = Number(argv[++i]); break;
+            case '--speed': options.speed = Number(argv[++i]); break;
+            case '--upload-failures': options.uploadFailures = Number(argv[++i]); break;
+            case '--set': {
+                const [key, ...rest] = argv[++i].split('=');
+                const value = rest.join('=');
+                try {
+                    options.set[key] = JSON.parse(value);
+                } catch (error) {
+                    options.set[key] = value;
+                }
+                break;
+            }
+            case '--tle':
+            case '--start':
+            case '--audio':
+            case '--config':
+            case '--tz':
+            case '--dir':
+                options[arg.slice(2)] = argv[++i];
+                break;
+            default:
+                throw new Error(`unknown option ${arg}`);
+        }
+    }
+    if (!options.tle) throw new Error('--tle is required');
+    if (!(options.days > 0)) throw new Error('--days must be a positive number');
+    if (!(options.speed > 0)) throw new Error('--speed must be a positive number');
+    return options;
+}
+
+// Function to parse --start: a date (midnight local time) or a date and time, now if not given
+function parseStart(value) {
+    if (!value) {
+        return new Date();
+    }
+    const start = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+    if (isNaN(start.getTime())) {
+        throw new Error(`invalid --start ${value}`);
+    }
+    return start;
+}
+
+function formatTime(date) {
+    return date.toLocaleString('en-GB', { hour12: false });
+}
+
+// Function to build the station config for the simulation: the user's config (or default.config.json) with
+// everything that would touch the hardware or the internet pointed at the simulation; --set overrides anything
+function buildConfig(options, dir, uploadUrl) {
+    const configFile = options.config ?? path.join(__dirname, 'default.config.json');
+    const rawConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+
+    return validateConfig({
+        ...rawConfig,
+        saveDir: dir,
+        passesFile: 'passes.json',
+        logFile: 'log.txt',
+        logConsole: options.verbose,
+        tleSources: ['file'],
+        tleFile: 'tle.txt',
+        daysToPropagate: Math.ceil(options.days) + 1,
+        sdrBackend: 'replay',
+        replayFile: options.audio ? path.resolve(options.audio) : path.join(dir, 'silence.raw'),
+        replaySpeed: 1,
+        replayLoop: true,
+        uploadDestinations: [{ type: 'open-weather', name: 'fake-upload', url: uploadUrl }],
+        apiPort: false,
+        ...options.set
+    });
+}
+
+// wait in real time until a condition holds, returns false on timeout
+async function waitUntil(condition, timeoutMs = Infinity) {
+    const startMs = Date.now();
+    while (!condition()) {
+        if (Date.now() - startMs > timeoutMs) {
+            return false;
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return true;
+}
+
+// Function to collect what happens to each pass from the scheduler's events
+function trackPasses() {
+    const passes = [];
+    let current = null;
+
+    // a pass predicted again after a reboot or TLE refresh is the same pass, even if it moved by a second
+    const track = (pass) => {
+        let entry = passes.find(tracked => samePass(tracked, pass));
+        if (!entry) {
+            entry = {
+                satellite: pass.satellite,
+                maxElevation: parseFloat(pass.maxElevation),
+                planned: false,
+                dropped: false,
+                recorded: false,
+                interrupted: false,
+                skipReasons: []
+            };
+            passes.push(entry);
+        }
+        // follow the latest prediction, or the one that was recorded
+        if (!entry.recorded) {
+            Object.assign(entry, { key: passKey(pass), date: pass.date, time: pass.time, tca: pass.tca, duration: pass.duration });
+        }
+        return entry;
+    };
+
+    events.on('planned', (pass) => {
+        const entry = track(pass);
+        entry.planned = true;
+        entry.dropped = false;
+    });
+    events.on('unplanned', (pass) => { track(pass).dropped = true; });
+    events.on('skipped', (pass, reason) => {
+        const entry = track(pass);
+        if (!entry.skipReasons.includes(reason)) {
+            entry.skipReasons.push(reason);
+        }
+    });
+    events.on('recording', (pass) => {
+        current = track(pass);
+        current.recorded = true;
+    });
+
+    return { passes, currentRecording: () => (isRecording() ? current : null) };
+}
+
+// Function to combine the tracked passes with the recordings' sidecars and the fake server's uploads
+function buildReport(options, config, start, end, passes, uploads, rotctld) {
+    const recordingsDir = path.join(config.saveDir, 'recordings');
+    const sidecars = fs.existsSync(recordingsDir)
+        ? fs.readdirSync(recordingsDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => JSON.parse(fs.readFileSync(path.join(recordingsDir, file), 'utf8')))
+        : [];
+
+    const tracked = passes
+        .filter(entry => passStartTime(entry) < end)
+        .sort((a, b) => passStartTime(a) - passStartTime(b));
+
+    const entries = tracked.map(entry => {
+        const sidecar = sidecars.find(s => s.satellite === entry.satellite && s.pass && s.pass.scheduledStart === `${entry.date} ${entry.time}`);
+        let status = 'not planned';
+        if (entry.recorded) status = 'recorded';
+        else if (entry.skipReasons.length > 0) status = 'skipped';
+        else if (entry.dropped) status = 'dropped';
+        else if (entry.planned) status = 'missed';
+
+        return {
+            ...entry,
+            status,
+            recording: sidecar ? {
+                file: sidecar.capture.file,
+                status: sidecar.capture.status,
+                quality: sidecar.quality ? { score: sidecar.quality.score, verdict: sidecar.quality.verdict } : null,
+                upload: sidecar.upload ? sidecar.upload.state : null
+            } : null,
+            uploaded: Boolean(sidecar && sidecar.upload && sidecar.upload.state === 'done')
+        };
+    });
+
+    return {
+        start: start.toISOString(),
+        end: end.toISOString(),
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        speed: options.speed,
+        reboot: options.reboot,
+        overrides: options.set,
+        totals: {
+            planned: entries.filter(entry => entry.planned || entry.recorded).length,
+            recorded: entries.filter(entry => entry.recorded).length,
+            skipped: entries.filter(entry => entry.status === 'skipped').length,
+            missed: entries.filter(entry => entry.status === 'missed').length,
+            interrupted: entries.filter(entry => entry.interrupted).length,
+            uploaded: entries.filter(entry => entry.uploaded).length,
+            uploadsReceived: uploads.length,
+            rotatorMoves: rotctld ? rotctld.commands.filter(command => command.accepted).length : null,
+            rotatorRejected: rotctld ? rotctld.commands.filter(command => !command.accepted).length : null
+        },
+        passes: entries
+    };
+}
+
+function printReport(report, dir) {
+    console.log('');
+    console.log(`Passes from ${formatTime(new Date(report.start))} to ${formatTime(new Date(report.end))} (${report.timezone}):`);
+    const nameWidth = Math.max(8, ...report.passes.map(entry => entry.satellite.length + 1));
+    report.passes.forEach(entry => {
+        let details = entry.skipReasons.join('; ');
+        if (entry.recording) {
+            const quality = entry.recording.quality ? `quality ${entry.recording.quality.verdict} (${entry.recording.quality.score})` : `capture ${entry.recording.status}`;
+            details = `${quality}, upload ${entry.recording.upload ?? 'none'}`;
+        } else if (entry.recorded) {
+            details = 'no recording written, see log.txt';
+        }
+        if (entry.interrupted) {
+            details += `${details ? ', ' : ''}INTERRUPTED by the reboot`;
+        }
+        console.log(`  ${entry.date} ${entry.time}  ${entry.satellite.padEnd(nameWidth)} max ${entry.maxElevation.toFixed(1).padStart(4)}°  ${entry.status.padEnd(11)} ${details}`);
+    });
+
+    const { totals } = report;
+    console.log('');
+    console.log(`Planned ${totals.planned}, recorded ${totals.recorded}, skipped ${totals.skipped}, missed ${totals.missed}, ` +
+        `interrupted ${totals.interrupted}, uploaded ${totals.uploaded} (the fake server received ${totals.uploadsReceived} upload(s))`);
+    if (totals.rotatorMoves !== null) {
+        console.log(`The fake rotator moved ${totals.rotatorMoves} time(s)${totals.rotatorRejected ? `, ${totals.rotatorRejected} position(s) were outside its limits` : ''}`);
+    }
+    console.log(`Report: ${path.join(dir, 'simulation-report.json')}, log: ${path.join(dir, 'log.txt')}`);
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(1);
+    }
+
+    const start = parseStart(options.start);
+    const end = new Date(start.getTime() + options.days * DAY_MS);
+    const dir = path.resolve(options.dir ?? fs.mkdtempSync(path.join(os.tmpdir(), 'ow-simulation-')));
+    fs.mkdirSync(dir, { recursive: true });
+    fs.copyFileSync(options.tle, path.join(dir, 'tle.txt'));
+
+    const server = await startFakeUploadServer({
+        fail: options.uploadFailures,
+        log: message => { if (options.verbose) console.log(`[upload server] ${message}`); }
+    });
+
+    const { config, errors, fatal } = buildConfig(options, dir, server.url);
+    errors.forEach(({ key, message }) => console.log(`Config error in ${key}: ${message}`));
+    if (fatal) {
+        await server.close();
+        process.exit(1);
+    }
+
+    // the rotator follows the passes on a fake rotctld with the same limits as the configured one
+    let rotctld = null;
+    if (config.rotator) {
+        rotctld = await startFakeRotctld({
+            limits: rotatorLimits(config),
+            log: message => { if (options.verbose) console.log(`[rotctld] ${message}`); }
+        });
+        config.rotatorHost = rotctld.host;
+        config.rotatorPort = rotctld.port;
+    }
+
+    // without --audio every recording is silence, which is enough to test scheduling and uploads
+    if (!options.audio) {
+        fs.writeFileSync(config.replayFile, Buffer.alloc(parseRate(config.sampleRate ?? '48k') * 2 * SILENCE_SECONDS));
+    }
+
+    configureDisplay({ ...config, display: 'console' });
+    clock.useVirtualClock(start, options.speed);
+    const logger = new Logger(config, 'scheduler');
+    const { passes, currentRecording } = trackPasses();
+    console.log(`Simulating ${formatTime(start)} to ${formatTime(end)} (${Intl.DateTimeFormat().resolvedOptions().timeZone}) at ${options.speed}x in ${dir}`);
+
+    // the station reboots every night; whatever is being recorded then is lost
+    let finished = false;
+    let rebootTimer = null;
+    const scheduleReboot = () => {
+        const next = clock.now();
+        next.setHours(REBOOT_HOUR, 0, 0, 0);
+        if (next <= clock.now()) {
+            next.setDate(next.getDate() + 1);
+        }
+        rebootTimer = clock.setTimeout(async () => {
+            console.log(`[SIM ${formatTime(clock.now())}] daily reboot`);
+            const interrupted = currentRecording();
+            if (interrupted) {
+                interrupted.interrupted = true;
+                logger.warn(`Simulated reboot while recording ${interrupted.satellite} at ${interrupted.date} ${interrupted.time}`);
+                console.log(`[SIM ${formatTime(clock.now())}] the reboot interrupts the recording of ${interrupted.satellite} at ${interrupted.date} ${interrupted.time}`);
+            }
+            stopScheduler();
+            await clock.sleep(REBOOT_MINUTES * 60 * 1000);
+            if (!finished) {
+                await startScheduler(config, logger, SCHEDULER_OPTIONS);
+                scheduleReboot();
+            }
+        }, next - clock.now());
+    };
+
+    await startScheduler(config, logger, SCHEDULER_OPTIONS);
+    if (options.reboot) {
+        scheduleReboot();
+    }
+
+    await clock.sleep(end - clock.now());
+    finished = true;
+    clock.clearTimeout(rebootTimer);
+    stopScheduler();
+
+    // let a recording or upload that is still running finish, then upload what is due
+    console.log(`[SIM ${formatTime(clock.now())}] end of the simulation, finishing recordings and uploads`);
+    await waitUntil(() => !isRecording() && !isUploading(), DRAIN_TIMEOUT_MS);
+    const worker = startOutboxWorker(() => config, logger.child('upload'));
+    await waitUntil(() => !isUploading() && !listOutbox(config, 'pending').some(item => new Date(item.nextAttemptAt) <= clock.now()), DRAIN_TIMEOUT_MS);
+    worker.stop();
+
+    const report = buildReport(options, config, start, end, passes, server.uploads, rotctld);
+    fs.writeFileSync(path.join(dir, 'simulation-report.json'), JSON.stringify(report, null, 2));
+    printReport(report, dir);
+
+    await server.close();
+    if (rotctld) {
+        await rotctld.close();
+    }
+    clock.useSystemClock();
+    process.exit(0);
+}
+
+main().catch((error) => {
+    console.error(`Simulation failed: ${error.stack}`);
+    process.exit(1);
+});
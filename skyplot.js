@@ -0,0 +1,259 @@
+// skyplot.js
+// This module draws polar sky plots of passes as SVG, from the azimuth/elevation tracks in passes.json
+// The zenith is in the middle and the horizon is the outer ring, with north up and east to the right
+// A pass plot shows where the satellite rises (AOS) and sets (LOS) and the part of the pass that was recorded,
+// so volunteers can see which way the antenna needs a clear view, and why a recording came out weak
+// A plan plot shows all passes of the planning horizon, with the ones selected for recording highlighted
+
+const { passKey, passStartTime } = require('./passes');
+
+const SIZE = 320;       // width of the plot, captions and the legend go below it
+const MARGIN = 22;      // room around the horizon ring for the N/E/S/W labels
+const LINE_HEIGHT = 16;
+const COLORS = ['#0969da', '#bc4c00', '#1a7f37', '#8250df', '#cf222e', '#9a6700'];
+const AOS_COLOR = '#1a7f37';
+const LOS_COLOR = '#cf222e';
+const TRACK_COLOR = '#8c959f';
+const COMPASS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+function escapeXML(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Function to name the compass direction of an azimuth, e.g. 22 -> NNE
+function compassPoint(azimuth) {
+    return COMPASS[Math.round(azimuth / 22.5) % 16];
+}
+
+// "16:35" in the station's local time
+function formatTime(value) {
+    return new Date(value).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+// "20 Oct 2026" in the station's local time
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+// Function to get the x/y position of an azimuth and elevation on the plot
+function project(azimuth, elevation) {
+    const radius = ((SIZE / 2 - MARGIN) * (90 - Math.max(0, elevation))) / 90;
+    const angle = (azimuth * Math.PI) / 180;
+    return [
+        Number((SIZE / 2 + radius * Math.sin(angle)).toFixed(1)),
+        Number((SIZE / 2 - radius * Math.cos(angle)).toFixed(1))
+    ];
+}
+
+// the track points as an SVG path
+function pathData(points) {
+    return points
+        .map((point, i) => `${i === 0 ? 'M' : 'L'}${project(point.azimuth, point.elevation).join(' ')}`)
+        .join(' ');
+}
+
+// the point between two track points at a time, taking the short way round for the azimuth
+function interpolate(a, b, ms) {
+    const aMs = Date.parse(a.time);
+    const fraction = (ms - aMs) / (Date.parse(b.time) - aMs);
+    const azimuthStep = ((b.azimuth - a.azimuth + 540) % 360) - 180;
+    return {
+        time: new Date(ms).toISOString(),
+        azimuth: (a.azimuth + fraction * azimuthStep + 360) % 360,
+        elevation: a.elevation + fraction * (b.elevation - a.elevation)
+    };
+}
+
+/**
+ * Cuts the part between two times out of a pass track, with the ends interpolated.
+ * @param {Array} track - The pass track, [{ time, azimuth, elevation }] in time order
+ * @param {Date|string} start - Start of the part
+ * @param {Date|string} end - End of the part
+ * @returns {Array} - The track points of the part, empty if it doesn't overlap the pass
+ */
+function trackSegment(track, start, end) {
+    const startMs = new Date(start).getTime();
+    const endMs = new Date(end).getTime();
+    const points = [];
+
+    track.forEach((point, i) => {
+        const ms = Date.parse(point.time);
+        const previous = track[i - 1];
+        if (previous) {
+            const previousMs = Date.parse(previous.time);
+            if (previousMs < startMs && ms > startMs) {
+                points.push(interpolate(previous, point, startMs));
+            }
+            if (previousMs < endMs && ms > endMs && endMs > startMs) {
+                points.push(interpolate(previous, point, endMs));
+            }
+        }
+        if (ms >= startMs && ms <= endMs) {
+            points.push(point);
+        }
+    });
+    return points;
+}
+
+// the elevation rings, the N-S and E-W lines and the compass labels; a horizon above 0° is drawn dashed
+function drawGrid(horizon) {
+    const center = SIZE / 2;
+    const parts = [];
+
+    [0, 30, 60].forEach(elevation => {
+        const radius = center - project(0, elevation)[1];
+        parts.push(`<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="#d0d7de"/>`);
+        if (elevation > 0) {
+            parts.push(`<text x="${center + 3}" y="${center - radius + 11}" fill="#6e7781">${elevation}°</text>`);
+        }
+    });
+    if (horizon > 0) {
+        const radius = center - project(0, horizon)[1];
+        parts.push(`<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="#6e7781" stroke-dasharray="4 3"/>`);
+    }
+
+    const [, top] = project(0, 0);
+    const [right] = project(90, 0);
+    parts.push(`<path d="M${center} ${top} V${SIZE - top} M${SIZE - right} ${center} H${right}" stroke="#d0d7de"/>`);
+    parts.push(
+        `<text x="${center}" y="${top - 6}" text-anchor="middle" font-weight="bold">N</text>`,
+        `<text x="${right + 6}" y="${center + 4}">E</text>`,
+        `<text x="${center}" y="${SIZE - top + 15}" text-anchor="middle">S</text>`,
+        `<text x="${SIZE - right - 6}" y="${center + 4}" text-anchor="end">W</text>`
+    );
+    return parts;
+}
+
+// an arrowhead marker, so a track shows which way the satellite moves
+function arrowMarker(id, color) {
+    return `<marker id="${id}" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="7" markerHeight="7" orient="auto"><path d="M0 0L10 5L0 10z" fill="${color}"/></marker>`;
+}
+
+// a label next to a point on the plot, on the side facing the centre so it stays inside
+function label(point, text, color) {
+    const [x, y] = project(point.azimuth, point.elevation);
+    const toLeft = x > SIZE / 2;
+    return `<text x="${toLeft ? x - 7 : x + 7}" y="${y + 4}" text-anchor="${toLeft ? 'end' : 'start'}" fill="${color}">${escapeXML(text)}</text>`;
+}
+
+// wrap the plot and its caption lines into an SVG document
+function svgDocument(defs, parts, captions) {
+    const height = SIZE + captions.length * LINE_HEIGHT + 8;
+    const captionParts = captions.map((caption, i) => {
+        const y = SIZE + (i + 1) * LINE_HEIGHT;
+        return typeof caption === 'string'
+            ? `<text x="8" y="${y}">${escapeXML(caption)}</text>`
+            : caption(y);
+    });
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${height}" viewBox="0 0 ${SIZE} ${height}" font-family="sans-serif" font-size="11" fill="#24292f">`,
+        `<defs>${defs.join('')}</defs>`,
+        `<rect width="${SIZE}" height="${height}" fill="#ffffff"/>`,
+        ...parts,
+        ...captionParts,
+        '</svg>'
+    ].join('\n') + '\n';
+}
+
+/**
+ * Draws the sky plot of a single pass.
+ * @param {object} pass - A passes.json entry with its track
+ * @param {object} [options] - { recorded: { start, end } the part of the pass that was recorded, or planned: { start, end }
+ *                              the part that will be recorded, horizon: config.horizon }
+ * @returns {string|null} - The SVG, or null if the pass has no track (predicted by an older version)
+ */
+function renderPassSkyPlot(pass, options = {}) {
+    const track = pass.track;
+    if (!track || track.length < 2) {
+        return null;
+    }
+
+    const aos = track[0];
+    const los = track[track.length - 1];
+    const tca = track.reduce((highest, point) => (point.elevation > highest.elevation ? point : highest), aos);
+    const parts = drawGrid(options.horizon ?? 0);
+
+    parts.push(`<path d="${pathData(track)}" fill="none" stroke="${TRACK_COLOR}" stroke-width="1.5" marker-end="url(#arrow)"/>`);
+
+    let recordedCaption = 'Not recorded';
+    const window = options.recorded ?? options.planned;
+    if (window) {
+        const segment = trackSegment(track, window.start, window.end);
+        if (segment.length > 1) {
+            parts.push(`<path d="${pathData(segment)}" fill="none" stroke="${COLORS[0]}" stroke-width="4" stroke-linecap="round" opacity="0.8"/>`);
+        }
+        recordedCaption = `${options.recorded ? 'Recorded' : 'To be recorded'} ${formatTime(window.start)}-${formatTime(window.end)} (blue)`;
+    }
+
+    const [aosX, aosY] = project(aos.azimuth, aos.elevation);
+    const [losX, losY] = project(los.azimuth, los.elevation);
+    const [tcaX, tcaY] = project(tca.azimuth, tca.elevation);
+    parts.push(
+        `<circle cx="${aosX}" cy="${aosY}" r="4" fill="${AOS_COLOR}"/>`,
+        label(aos, `AOS ${formatTime(aos.time)}`, AOS_COLOR),
+        `<circle cx="${losX}" cy="${losY}" r="4" fill="${LOS_COLOR}"/>`,
+        label(los, `LOS ${formatTime(los.time)}`, LOS_COLOR),
+        `<circle cx="${tcaX}" cy="${tcaY}" r="3" fill="#24292f"/>`,
+        label(tca, `${tca.elevation.toFixed(0)}°`, '#24292f')
+    );
+
+    return svgDocument([arrowMarker('arrow', TRACK_COLOR)], parts, [
+        `${pass.satellite}, ${formatDate(aos.time)}`,
+        `Rises ${formatTime(aos.time)} in the ${compassPoint(aos.azimuth)} (azimuth ${aos.azimuth.toFixed(0)}°)`,
+        `Sets ${formatTime(los.time)} in the ${compassPoint(los.azimuth)} (azimuth ${los.azimuth.toFixed(0)}°)`,
+        `Highest ${tca.elevation.toFixed(1)}° at ${formatTime(tca.time)} in the ${compassPoint(tca.azimuth)}`,
+        recordedCaption
+    ]);
+}
+
+/**
+ * Draws the sky plot of several passes, e.g. the planning horizon, one colour per satellite.
+ * Passes selected for recording are drawn solid with their AOS time, the others thin and dashed.
+ * @param {Array} passes - passes.json entries with their tracks
+ * @param {Set<string>} planKeys - The passKey()s of the passes selected for recording
+ * @param {object} [options] - { title, horizon: config.horizon }
+ * @returns {string} - The SVG
+ */
+function renderPlanSkyPlot(passes, planKeys, options = {}) {
+    const plotted = passes
+        .filter(pass => pass.track && pass.track.length > 1)
+        .sort((a, b) => passStartTime(a) - passStartTime(b));
+    const satellites = [...new Set(plotted.map(pass => pass.satellite))].sort();
+    const colorOf = satellite => COLORS[satellites.indexOf(satellite) % COLORS.length];
+    const parts = drawGrid(options.horizon ?? 0);
+
+    // passes that aren't selected first, so the selected ones are drawn on top
+    const selected = pass => planKeys.has(passKey(pass)) || Boolean(pass.recorded);
+    [...plotted.filter(pass => !selected(pass)), ...plotted.filter(selected)].forEach(pass => {
+        const color = colorOf(pass.satellite);
+        const markerId = `arrow-${satellites.indexOf(pass.satellite)}`;
+        if (selected(pass)) {
+            parts.push(
+                `<path d="${pathData(pass.track)}" fill="none" stroke="${color}" stroke-width="2.5" marker-end="url(#${markerId})"><title>${escapeXML(`${pass.satellite} ${formatTime(pass.track[0].time)}`)}</title></path>`,
+                label(pass.track[0], formatTime(pass.track[0].time), color)
+            );
+        } else {
+            parts.push(`<path d="${pathData(pass.track)}" fill="none" stroke="${color}" stroke-width="1" stroke-dasharray="3 3" opacity="0.6"/>`);
+        }
+    });
+
+    const legend = satellites.map(satellite => (y) =>
+        `<rect x="8" y="${y - 8}" width="14" height="4" fill="${colorOf(satellite)}"/><text x="28" y="${y}">${escapeXML(satellite)}, ${plotted.filter(pass => pass.satellite === satellite && selected(pass)).length} of ${plotted.filter(pass => pass.satellite === satellite).length} passes selected</text>`);
+    const title = options.title ?? (plotted.length > 0
+        ? `Passes ${formatDate(plotted[0].track[0].time)} ${formatTime(plotted[0].track[0].time)} to ${formatDate(plotted[plotted.length - 1].track[0].time)} ${formatTime(plotted[plotted.length - 1].track[0].time)}`
+        : 'No passes');
+
+    return svgDocument(satellites.map(satellite => arrowMarker(`arrow-${satellites.indexOf(satellite)}`, colorOf(satellite))), parts, [
+        title,
+        ...legend,
+        'Solid: selected for recording, labelled with the AOS time',
+        'Dashed: not selected'
+    ]);
+}
+
+module.exports = {
+    renderPassSkyPlot,
+    renderPlanSkyPlot,
+    trackSegment,
+    compassPoint
+};
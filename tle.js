@@ -9,16 +9,151 @@ const geolib = require('geolib');
 const { DateTime } = require('luxon');
 const fs = require('fs');
 const path = require('path'); // Add this line to import the path module
+const clock = require('./clock');
+const { getCatalog, findSatellite, findTLE, tleNorad } = require('./satellites');
 
-// Fetch TLE (Two-Line Element) data from Celestrak
-async function fetchTLEData() {
-    const url = 'https://celestrak.org/NORAD/elements/gp.php?GROUP=noaa&FORMAT=tle';
+const CELESTRAK_URL = 'https://celestrak.org/NORAD/elements/gp.php';
+const DEFAULT_TLE_SOURCES = ['celestrak', 'file', 'cache'];
+
+// Fetch TLE (Two-Line Element) data from Celestrak, one request per TLE group of the catalog
+async function fetchTLEData(config) {
+    const groups = [...new Set(getCatalog(config).map(entry => entry.tleGroup))];
+    const texts = [];
+    for (const group of groups.length > 0 ? groups : ['noaa']) {
+        try {
+            const response = await axios.get(CELESTRAK_URL, { params: { GROUP: group, FORMAT: 'tle' } });
+            texts.push(response.data);
+        } catch (error) {
+            logger.error(`Error fetching TLE group ${group}: ${error.message}`);
+            throw error;
+        }
+    }
+    return texts.join('\n');
+}
+
+// Parse TLE text (name line followed by the two element lines) into satellite entries
+function parseTLE(tleData) {
+    const lines = tleData.split('\n').map(line => line.trim()).filter(line => line !== '');
+    const satellites = [];
+
+    for (let i = 0; i + 2 < lines.length; i++) {
+        if (lines[i + 1].startsWith('1 ') && lines[i + 2].startsWith('2 ')) {
+            satellites.push({
+                name: lines[i],
+                norad: tleNorad(lines[i + 1]),
+                line1: lines[i + 1],
+                line2: lines[i + 2],
+                epoch: tleEpoch(lines[i + 1]).toISOString()
+            });
+            i += 2;
+        }
+    }
+
+    return satellites;
+}
+
+// Get the epoch of a TLE from line 1 (columns 19-32, YYDDD.DDDDDDDD)
+function tleEpoch(line1) {
+    const epochYear = parseInt(line1.substring(18, 20), 10);
+    const epochDay = parseFloat(line1.substring(20, 32));
+    const year = epochYear < 57 ? 2000 + epochYear : 1900 + epochYear;
+    return new Date(Date.UTC(year, 0, 1) + (epochDay - 1) * 24 * 60 * 60 * 1000);
+}
+
+function tleCachePath(config) {
+    return path.join(config.saveDir, config.tleCacheFile ?? 'tle-cache.json');
+}
+
+// Persist a TLE set under saveDir along with where and when it was fetched
+function saveTLECache(config, satellites, source) {
+    const cache = {
+        source,
+        fetchedAt: clock.now().toISOString(),
+        satellites
+    };
+    fs.writeFileSync(tleCachePath(config), JSON.stringify(cache, null, 2));
+    return cache;
+}
+
+// Read the last cached TLE set, or null if there is none
+function readTLECache(config) {
+    const cachePath = tleCachePath(config);
+    if (!fs.existsSync(cachePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+}
+
+// Load satellites from a single TLE source
+async function loadTLESource(source, config) {
+    switch (source) {
+        case 'celestrak': {
+            const satellites = parseTLE(await fetchTLEData(config));
+            return saveTLECache(config, satellites, 'celestrak');
+        }
+        case 'file': {
+            // a TLE file the user dropped on the USB stick next to ow-config.json
+            const tleFilePath = path.join(config.saveDir, config.tleFile ?? 'tle.txt');
+            if (!fs.existsSync(tleFilePath)) {
+                throw new Error(`TLE file not found: ${tleFilePath}`);
+            }
+            const satellites = parseTLE(fs.readFileSync(tleFilePath, 'utf8'));
+            return saveTLECache(config, satellites, 'file');
+        }
+        case 'cache': {
+            const cache = readTLECache(config);
+            if (!cache) {
+                throw new Error(`TLE cache not found: ${tleCachePath(config)}`);
+            }
+            return cache;
+        }
+        default:
+            throw new Error(`Unknown TLE source: ${source}`);
+    }
+}
+
+// Try each configured TLE source in order until one returns data
+async function loadTLEs(config, logger) {
+    const sources = config.tleSources ?? DEFAULT_TLE_SOURCES;
+
+    for (const source of sources) {
+        try {
+            const tleSet = await loadTLESource(source, config);
+            if (tleSet.satellites.length === 0) {
+                throw new Error('no TLE entries found');
+            }
+            logger.info(`Loaded ${tleSet.satellites.length} TLEs from ${source} (fetched ${tleSet.fetchedAt} from ${tleSet.source})`);
+            return tleSet;
+        } catch (error) {
+            logger.error(`TLE source ${source} failed: ${error.message}`);
+        }
+    }
+
+    throw new Error(`No TLE data available from any source (${sources.join(', ')})`);
+}
+
+// Log the age of each satellite's TLE and warn when it is older than config.maxTleAgeDays
+function logTLEAges(satellites, config, logger) {
+    const maxAgeDays = config.maxTleAgeDays ?? 7;
+    const now = clock.now().getTime();
+
+    for (const sat of satellites) {
+        const ageDays = (now - new Date(sat.epoch).getTime()) / (24 * 60 * 60 * 1000);
+        logger.info(`TLE for ${sat.name}: epoch ${sat.epoch}, ${ageDays.toFixed(1)} days old`);
+        if (ageDays > maxAgeDays) {
+            logger.warn(`TLE for ${sat.name} is ${ageDays.toFixed(1)} days old (limit ${maxAgeDays}), predictions may be inaccurate`);
+        }
+    }
+}
+
+// Function to find the TLE of a satellite in the TLE cache, returns a satrec or null
+function findSatrec(config, satName) {
     try {
-        const response = await axios.get(url);
-        return response.data;
+        const cache = readTLECache(config);
+        const tle = cache && findTLE(cache.satellites, findSatellite(config, satName));
+        return tle ? satellite.twoline2satrec(tle.line1, tle.line2) : null;
     } catch (error) {
-        logger.error('Error fetching TLE data: ' + error.message);
-        throw error;
+        return null;
     }
 }
 
@@ -51,99 +186,240 @@ function readExistingPasses(config, logger) {
 }
 
 // Save passes to the specified file, sorted by date and time
+// passes.json stores the start time to the second, files written before that have HH:mm
+const PASS_TIME_FORMATS = ['dd LLL yyyy HH:mm:ss', 'dd LLL yyyy HH:mm'];
+
+// Function to get the start of the recording window of a pass entry as a DateTime, in either time format
+function passStartDateTime(pass) {
+    const text = `${pass.date} ${pass.time}`;
+    return PASS_TIME_FORMATS
+        .map(format => DateTime.fromFormat(text, format))
+        .find(dateTime => dateTime.isValid) ?? DateTime.invalid('unparsable pass time');
+}
+
 function savePasses(passes) {
-    passes.sort((a, b) => {
-        const dateTimeA = DateTime.fromFormat(`${a.date} ${a.time}`, 'dd LLL yyyy HH:mm');
-        const dateTimeB = DateTime.fromFormat(`${b.date} ${b.time}`, 'dd LLL yyyy HH:mm');
-        return dateTimeA - dateTimeB;
-    });
+    passes.sort((a, b) => passStartDateTime(a) - passStartDateTime(b));
     fs.writeFileSync(path.join(config.saveDir, config.passesFile), JSON.stringify(passes, null, 2));
 }
 
+// Look angles of the satellite from the configured location at a given time
+function lookAnglesAt(satrec, date) {
+    const positionAndVelocity = satellite.propagate(satrec, date);
+    const positionEci = positionAndVelocity.position;
+    if (!positionEci) {
+        return null;
+    }
+
+    const gmst = satellite.gstime(date);
+    const observerGd = {
+        longitude: satellite.degreesToRadians(config.locLon),
+        latitude: satellite.degreesToRadians(config.locLat),
+        height: (config.locAlt ?? 0) / 1000 // meters -> km
+    };
+    const positionEcf = satellite.eciToEcf(positionEci, gmst);
+    const lookAngles = satellite.ecfToLookAngles(observerGd, positionEcf);
+    const positionGd = satellite.eciToGeodetic(positionEci, gmst);
+
+    return {
+        elevation: satellite.radiansToDegrees(lookAngles.elevation),
+        azimuth: satellite.radiansToDegrees(lookAngles.azimuth),
+        range: lookAngles.rangeSat,
+        // ground distance from the station to the sub-satellite point, used by the legacy maxDistance filter
+        distance: geolib.getDistance(
+            { latitude: satellite.degreesLat(positionGd.latitude), longitude: satellite.degreesLong(positionGd.longitude) },
+            { latitude: config.locLat, longitude: config.locLon }
+        )
+    };
+}
+
+// Elevation in degrees at a time given in ms, or -90 if the propagation fails
+function elevationAt(satrec, ms) {
+    const angles = lookAnglesAt(satrec, new Date(ms));
+    return angles ? angles.elevation : -90;
+}
+
+// Bisect between a sample below and a sample above the horizon to find the crossing to the second
+function findHorizonCrossing(satrec, belowMs, aboveMs, horizon) {
+    let low = belowMs;
+    let high = aboveMs;
+    while (Math.abs(high - low) > 1000) {
+        const mid = (low + high) / 2;
+        if (elevationAt(satrec, mid) >= horizon) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    return Math.round(high / 1000) * 1000;
+}
+
+// Golden-section search for the time of closest approach (maximum elevation) between AOS and LOS
+function findCulmination(satrec, aosMs, losMs) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = aosMs;
+    let high = losMs;
+    let a = high - ratio * (high - low);
+    let b = low + ratio * (high - low);
+    let elA = elevationAt(satrec, a);
+    let elB = elevationAt(satrec, b);
+
+    while (high - low > 1000) {
+        if (elA > elB) {
+            high = b;
+            b = a;
+            elB = elA;
+            a = high - ratio * (high - low);
+            elA = elevationAt(satrec, a);
+        } else {
+            low = a;
+            a = b;
+            elA = elB;
+            b = low + ratio * (high - low);
+            elB = elevationAt(satrec, b);
+        }
+    }
+    return Math.round((low + high) / 2000) * 1000;
+}
+
+// The azimuth/elevation track of a pass, every config.trackStepSeconds from AOS, plus TCA and LOS
+function passTrack(satrec, aosMs, tcaMs, losMs) {
+    const stepMs = (config.trackStepSeconds ?? 30) * 1000;
+    const times = [];
+    for (let t = aosMs; t < losMs; t += stepMs) {
+        times.push(t);
+    }
+    times.push(tcaMs, losMs);
+
+    return [...new Set(times)]
+        .sort((a, b) => a - b)
+        .map(t => ({ t, angles: lookAnglesAt(satrec, new Date(t)) }))
+        .filter(({ angles }) => angles)
+        .map(({ t, angles }) => ({
+            time: new Date(t).toISOString(),
+            azimuth: Number(angles.azimuth.toFixed(1)),
+            elevation: Number(angles.elevation.toFixed(1))
+        }));
+}
+
+// Build a pass entry from refined AOS/LOS times
+function describePass(satrec, aosMs, losMs) {
+    const tcaMs = findCulmination(satrec, aosMs, losMs);
+    const maxElevation = elevationAt(satrec, tcaMs);
+
+    // sample the pass every 10 seconds for the averages
+    const elevations = [];
+    const distances = [];
+    for (let t = aosMs; t <= losMs; t += 10000) {
+        const angles = lookAnglesAt(satrec, new Date(t));
+        if (angles) {
+            elevations.push(angles.elevation);
+            distances.push(angles.distance);
+        }
+    }
+    const tcaAngles = lookAnglesAt(satrec, new Date(tcaMs));
+    const avgElevation = elevations.reduce((sum, el) => sum + el, 0) / elevations.length;
+    const avgDistance = distances.reduce((sum, d) => sum + d, 0) / distances.length;
+
+    return {
+        track: passTrack(satrec, aosMs, tcaMs, losMs),
+        start: DateTime.fromMillis(aosMs, { zone: 'utc' }),
+        tca: DateTime.fromMillis(tcaMs, { zone: 'utc' }),
+        end: DateTime.fromMillis(losMs, { zone: 'utc' }),
+        maxElevation: maxElevation.toFixed(2),
+        avgElevation: avgElevation.toFixed(2),
+        avgDistance: avgDistance.toFixed(2),
+        minDistance: (tcaAngles ? tcaAngles.distance : Math.min(...distances)).toFixed(2)
+    };
+}
+
 // Find satellite passes over a specific location
+// A pass lasts while the satellite is above config.horizon degrees; AOS, TCA and LOS are refined to the second
 async function findSatellitePasses(tleLine1, tleLine2) {
     const satrec = satellite.twoline2satrec(tleLine1, tleLine2); // Convert TLE lines to satellite record
-    const startTime = DateTime.utc();
-    const endTime = startTime.plus({ days: config.daysToPropagate });
-    const timeStep = { minutes: 1 }; // Propagate in 1-minute steps
-    let currentTime = startTime;
-    let passStart = null;
+    const horizon = config.horizon ?? 0;
+    const minElevation = config.minElevation ?? 0;
+    const stepMs = (config.predictionStepSeconds ?? 60) * 1000;
+    const startMs = clock.now().getTime();
+    const endMs = DateTime.fromMillis(startMs, { zone: 'utc' }).plus({ days: config.daysToPropagate }).toMillis();
     const passes = [];
-    let elevations = [];
-    let distances = [];
-
-    // Loop through each minute in the propagation period
-    while (currentTime < endTime) {
-        const positionAndVelocity = satellite.propagate(satrec, currentTime.toJSDate());
-        const positionEci = positionAndVelocity.position;
-
-        if (positionEci) {
-            const gmst = satellite.gstime(currentTime.toJSDate());
-            const positionGd = satellite.eciToGeodetic(positionEci, gmst);
-            const satLat = satellite.degreesLat(positionGd.latitude);
-            const satLon = satellite.degreesLong(positionGd.longitude);
-            const distance = geolib.getDistance(
-                { latitude: satLat, longitude: satLon },
-                { latitude: config.locLat, longitude: config.locLon }
-            );
-
-            // Check if the satellite is within the maximum distance
-            if (distance <= config.maxDistance) {
-                const observerGd = {
-                    longitude: satellite.degreesToRadians(config.locLon),
-                    latitude: satellite.degreesToRadians(config.locLat),
-                    height: 0
-                };
-                const positionEcf = satellite.eciToEcf(positionEci, gmst);
-                const lookAngles = satellite.ecfToLookAngles(observerGd, positionEcf);
-                const elevation = satellite.radiansToDegrees(lookAngles.elevation);
-
-                if (!passStart) {
-                    passStart = currentTime; // Mark the start of the pass
-                    elevations = [];
-                    distances = [];
-                }
 
-                elevations.push(elevation);
-                distances.push(distance);
-            } else if (passStart) {
-                // Calculate average and maximum elevations and distances when the pass ends
-                const avgElevation = elevations.reduce((sum, el) => sum + el, 0) / elevations.length;
-                const maxElevation = Math.max(...elevations);
-                const avgDistance = distances.reduce((sum, el) => sum + el, 0) / distances.length;
-                const minDistance = Math.min(...distances);
-
-                passes.push({
-                    start: passStart,
-                    end: currentTime,
-                    maxElevation: maxElevation.toFixed(2),
-                    avgElevation: avgElevation.toFixed(2),
-                    avgDistance: avgDistance.toFixed(2),
-                    minDistance: minDistance.toFixed(2)
-                });
-                passStart = null; // Reset pass start
-            }
+    let previousMs = startMs;
+    let previousAbove = elevationAt(satrec, startMs) >= horizon;
+    let aosMs = previousAbove ? startMs : null; // a pass already in progress starts now
+
+    // Step through the propagation period and refine every horizon crossing
+    for (let currentMs = startMs + stepMs; currentMs <= endMs; currentMs += stepMs) {
+        const above = elevationAt(satrec, currentMs) >= horizon;
+
+        if (above && !previousAbove) {
+            aosMs = findHorizonCrossing(satrec, previousMs, currentMs, horizon);
+        } else if (!above && previousAbove && aosMs !== null) {
+            const losMs = findHorizonCrossing(satrec, currentMs, previousMs, horizon);
+            passes.push(describePass(satrec, aosMs, losMs));
+            aosMs = null;
         }
 
-        currentTime = currentTime.plus(timeStep); // Move to the next minute
+        previousMs = currentMs;
+        previousAbove = above;
     }
 
     // Handle case where the pass doesn't end before endTime
-    if (passStart) {
-        const avgElevation = elevations.reduce((sum, el) => sum + el, 0) / elevations.length;
-        const maxElevation = Math.max(...elevations);
-        passes.push({
-            start: passStart,
-            end: currentTime,
-            maxElevation: maxElevation.toFixed(2),
-            avgElevation: avgElevation.toFixed(2)
-        });
+    if (aosMs !== null && previousMs > aosMs) {
+        passes.push(describePass(satrec, aosMs, previousMs));
+    }
+
+    return passes.filter(pass => {
+        if (parseFloat(pass.maxElevation) < minElevation) {
+            return false;
+        }
+        // legacy filter: only applied when maxDistance is still set in the config
+        if (config.maxDistance && parseFloat(pass.minDistance) > config.maxDistance) {
+            return false;
+        }
+        return true;
+    });
+}
+
+// predictions of one pass from another TLE or at another time differ by seconds, while passes of a satellite
+// are an orbit (about 100 minutes) apart
+const SAME_PASS_TOLERANCE_MS = 5 * 60 * 1000;
+
+// what happens to a pass after it is predicted, kept when the pass is predicted again
+const PASS_STATE_FIELDS = ['recorded', 'skipped', 'skipReason', 'trimmedMinutes'];
+
+// the moments to compare two passes by: TCA, which doesn't move when a pass in progress is predicted to start now,
+// or the start of the recording window for passes predicted before TCA was stored
+function passMoments(a, b) {
+    if (a.tca && b.tca) {
+        return [Date.parse(a.tca), Date.parse(b.tca)];
+    }
+    return [passStartDateTime(a).toMillis(), passStartDateTime(b).toMillis()];
+}
+
+// Function to check whether two entries are predictions of the same pass
+function samePass(a, b) {
+    if (a.satellite !== b.satellite) {
+        return false;
     }
+    const [momentA, momentB] = passMoments(a, b);
+    return Math.abs(momentA - momentB) <= SAME_PASS_TOLERANCE_MS;
+}
 
-    return passes;
+// Function to carry the state of a previous prediction over to a new prediction of the same pass
+// a trimmed pass is trimmed by the same minutes again, resolveConflicts() only trims what still overlaps
+function carryOverPassState(previous, pass) {
+    PASS_STATE_FIELDS
+        .filter(field => previous[field] !== undefined)
+        .forEach(field => { pass[field] = previous[field]; });
+    if (previous.trimmedMinutes) {
+        pass.duration = Number((pass.duration - previous.trimmedMinutes).toFixed(2));
+    }
+    return pass;
 }
 
 // Process passes and save them to a file
+// the new predictions replace the passes in the file, passes predicted again keep their state (see carryOverPassState())
+// and the passes earlier today stay
 async function processPasses(configParam, loggerParam) {
     config = configParam;
     logger = loggerParam;
@@ -151,36 +427,34 @@ async function processPasses(configParam, loggerParam) {
     try {
         logger.info('Starting TLE data processing...');
 
-        // Fetch TLE data
-        const tleData = await fetchTLEData();
-        const tleLines = tleData.split('\n').filter(line => line.trim() !== '');
-        logger.info(`Found TLE data for ${tleLines.length / 3} satellites.`);
+        // Load TLE data from the first source that works
+        const tleSet = await loadTLEs(config, logger);
+        logger.info(`Found TLE data for ${tleSet.satellites.length} satellites.`);
 
         const existingPasses = readExistingPasses(config, logger);
+        const predictedPasses = [];
+        const configuredSatellites = [];
 
-        // Process each satellite specified in the config
-        for (const satName in config.noaaFrequencies) {
-            let tleLine1, tleLine2;
-            for (let i = 0; i < tleLines.length; i++) {
-                if (tleLines[i].startsWith(satName)) {
-                    tleLine1 = tleLines[i + 1];
-                    tleLine2 = tleLines[i + 2];
-                    break;
-                }
-            }
+        // Process each satellite in the catalog
+        for (const entry of getCatalog(config)) {
+            const tle = findTLE(tleSet.satellites, entry);
 
-            if (!tleLine1 || !tleLine2) {
-                logger.error(`TLE data for ${satName} not found.`);
+            if (!tle) {
+                logger.error(`TLE data for ${entry.name}${entry.norad ? ` (NORAD ${entry.norad})` : ''} not found.`);
                 continue;
             }
+            configuredSatellites.push(tle);
+            const tleLine1 = tle.line1;
+            const tleLine2 = tle.line2;
 
-            logger.info(`Processing satellite: ${satName}`);
+            logger.info(`Processing satellite: ${entry.name} (${entry.profile})`);
             const passes = await findSatellitePasses(tleLine1, tleLine2);
 
             // Format and add new passes
             passes.forEach(pass => {
                 const formattedStart = DateTime.fromISO(pass.start.toISO());
                 const formattedEnd = DateTime.fromISO(pass.end.toISO());
+                const formattedTca = DateTime.fromISO(pass.tca.toISO());
                 const maxElevation = pass.maxElevation || 'N/A';
                 const avgElevation = pass.avgElevation || 'N/A';
                 const avgDistance = pass.avgDistance || 'N/A';
@@ -188,7 +462,7 @@ async function processPasses(configParam, loggerParam) {
 
                 let bufferStart = formattedStart.minus({ minutes: config.bufferMinutes });
                 let bufferEnd = formattedEnd.plus({ minutes: config.bufferMinutes });
-                let bufferDuration = Math.round((bufferEnd - bufferStart) / (1000 * 60));
+                let bufferDuration = Number(((bufferEnd - bufferStart) / (1000 * 60)).toFixed(2));
 
                 // Ensure the bufferDuration is at least 2 minutes
                 if (bufferDuration < 2) {
@@ -197,34 +471,46 @@ async function processPasses(configParam, loggerParam) {
                 }
 
                 const newPass = {
-                    frequency: config.noaaFrequencies[satName],
-                    satellite: satName,
+                    frequency: entry.frequency,
+                    satellite: entry.name,
+                    norad: entry.norad,
+                    profile: entry.profile,
                     date: bufferStart.toFormat('dd LLL yyyy'),
-                    time: bufferStart.toFormat('HH:mm'),
+                    time: bufferStart.toFormat('HH:mm:ss'),
                     duration: bufferDuration,
+                    aos: formattedStart.toISO(),
+                    tca: formattedTca.toISO(),
+                    los: formattedEnd.toISO(),
                     avgElevation: avgElevation,
                     maxElevation: maxElevation,
                     avgDistance: avgDistance,
                     minDistance: minDistance,
+                    tleEpoch: tle.epoch,
+                    track: pass.track,
                     recorded: false
                 };
 
-                // Avoid adding duplicate passes
-                const duplicate = existingPasses.some(
-                    existingPass =>
-                        existingPass.satellite === newPass.satellite &&
-                        existingPass.date === newPass.date &&
-                        existingPass.time === newPass.time
-                );
-
-                if (!duplicate) {
-                    existingPasses.push(newPass);
-                }
+                // a pass that was predicted before keeps what happened to it, even if its times moved a little
+                const previous = existingPasses.find(existingPass => samePass(existingPass, newPass));
+                predictedPasses.push(previous ? carryOverPassState(previous, newPass) : newPass);
             });
         }
 
+        logTLEAges(configuredSatellites, config, logger);
+
+        // predictions start now, the earlier passes of today are kept: they still count toward numberOfPassesPerDay
+        const now = clock.now();
+        const today = now.toLocaleDateString('en-CA');
+        existingPasses
+            .filter(pass => {
+                const start = passStartDateTime(pass).toJSDate();
+                return start < now && start.toLocaleDateString('en-CA') === today
+                    && !predictedPasses.some(predicted => samePass(pass, predicted));
+            })
+            .forEach(pass => predictedPasses.push(pass));
+
         // Save updated passes
-        savePasses(existingPasses);
+        savePasses(predictedPasses);
         logger.info('Satellite passes have been updated and saved.');
     } catch (err) {
         logger.error('Error processing TLE data: ' + err.message);
@@ -240,12 +526,17 @@ if (require.main === module) {
     const config = loadConfig();
 
     const Logger = require('./logger');
-    const logger = new Logger(config);
+    const logger = new Logger(config, 'tle');
 
     processPasses(config, logger).catch(console.error);
 } else {
     // Export processPasses function for external use
     module.exports = {
-        processPasses
+        processPasses,
+        samePass,
+        loadTLEs,
+        parseTLE,
+        readTLECache,
+        findSatrec
     };
 }
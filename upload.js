@@ -1,23 +1,36 @@
 // upload.js
 const fs = require('fs');
+const path = require('path');
 const FormData = require('form-data');
 const axios = require('axios');
 
-const uploadFile = async (filePath, jsonData, logger) => {
+const OPEN_WEATHER_URL = 'https://open-weather.community/wp-json/ow/v1/ground-stations';
+
+const uploadFile = async (filePath, jsonData, logger, options = {}) => {
     try {
         // Check if the file exists
         if (!fs.existsSync(filePath)) {
             throw new Error(`File not found: ${filePath}`);
         }
 
+        // the API takes the recording as "wavfile", other files (e.g. LRPT IQ) keep their name so their type is sent right
         const fileStream = fs.createReadStream(filePath);
         const form = new FormData();
-        form.append('wavfile', fileStream, 'audio.wav');
+        const fileName = path.extname(filePath).toLowerCase() === '.wav' ? 'audio.wav' : path.basename(filePath);
+        form.append('wavfile', fileStream, fileName);
+
+        // Attach the decoded APT image if one was passed in
+        if (options.imageFile && fs.existsSync(options.imageFile)) {
+            form.append('imagefile', fs.createReadStream(options.imageFile), 'image.png');
+        }
 
-        // Append additional JSON data to the form
+        // Append additional JSON data to the form, skipping empty values and sending objects as JSON
         if (jsonData) {
             Object.keys(jsonData).forEach(key => {
-                form.append(key, jsonData[key]);
+                const value = jsonData[key];
+                if (value !== undefined && value !== null) {
+                    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+                }
             });
         }
 
@@ -31,7 +44,7 @@ const uploadFile = async (filePath, jsonData, logger) => {
             }
         };
 
-        const url = 'https://open-weather.community/wp-json/ow/v1/ground-stations';
+        const url = options.url || OPEN_WEATHER_URL;
         const response = await axios.post(url, form, config);
 
         logger.info('Upload response:', response.data);
@@ -64,12 +77,13 @@ const uploadFile = async (filePath, jsonData, logger) => {
  * @param {object} logger - Your logger instance
  * @param {number} [maxRetries=3] - How many times to try before giving up
  * @param {number} [delayMs=5000] - Delay (in ms) between attempts
+ * @param {object} [options] - Extra upload options: { imageFile } to attach the decoded image, { url } to post elsewhere
  * @returns {object} - The successful response data or a final failure object
  */
-const uploadFileWithRetries = async (filePath, jsonData, logger, maxRetries = 3, delayMs = 5000) => {
+const uploadFileWithRetries = async (filePath, jsonData, logger, maxRetries = 3, delayMs = 5000, options = {}) => {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         logger.info(`Upload attempt #${attempt} of ${maxRetries}`);
-        const response = await uploadFile(filePath, jsonData, logger);
+        const response = await uploadFile(filePath, jsonData, logger, options);
 
         if (response && response.success !== false) {
             // The upload succeeded
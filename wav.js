@@ -0,0 +1,83 @@
+// wav.js
+// This module reads the PCM WAV files written by SoX in recorder.js
+
+const fs = require('fs');
+
+// Function to read a PCM WAV file into normalized samples (-1..1) of the first channel
+function readWav(filePath) {
+    const buffer = fs.readFileSync(filePath);
+
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error(`Not a WAV file: ${filePath}`);
+    }
+
+    let format = null;
+    let offset = 12;
+
+    // walk the RIFF chunks looking for 'fmt ' and 'data'
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const chunkStart = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: buffer.readUInt16LE(chunkStart),
+                channels: buffer.readUInt16LE(chunkStart + 2),
+                sampleRate: buffer.readUInt32LE(chunkStart + 4),
+                bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) {
+                throw new Error(`WAV data chunk found before fmt chunk: ${filePath}`);
+            }
+            // SoX may leave the size as 0xFFFFFFFF when it could not seek back, so clamp to the file
+            const dataEnd = Math.min(chunkStart + chunkSize, buffer.length);
+            return {
+                ...format,
+                samples: decodeSamples(buffer.subarray(chunkStart, dataEnd), format)
+            };
+        }
+
+        // chunks are padded to an even number of bytes
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error(`No data chunk found in WAV file: ${filePath}`);
+}
+
+// convert interleaved PCM bytes to a Float32Array holding the first channel only
+function decodeSamples(data, format) {
+    const { audioFormat, channels, bitsPerSample } = format;
+
+    // 1 = integer PCM, 0xFFFE = WAVE_FORMAT_EXTENSIBLE (SoX uses it for some outputs)
+    if (audioFormat !== 1 && audioFormat !== 0xFFFE) {
+        throw new Error(`Unsupported WAV encoding: ${audioFormat}`);
+    }
+
+    const bytesPerSample = bitsPerSample / 8;
+    const frameSize = bytesPerSample * channels;
+    const frameCount = Math.floor(data.length / frameSize);
+    const samples = new Float32Array(frameCount);
+
+    for (let i = 0; i < frameCount; i++) {
+        const pos = i * frameSize;
+        switch (bitsPerSample) {
+            case 8:
+                samples[i] = (data.readUInt8(pos) - 128) / 128;
+                break;
+            case 16:
+                samples[i] = data.readInt16LE(pos) / 32768;
+                break;
+            case 32:
+                samples[i] = data.readInt32LE(pos) / 2147483648;
+                break;
+            default:
+                throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`);
+        }
+    }
+
+    return samples;
+}
+
+module.exports = { readWav };